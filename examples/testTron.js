@@ -24,20 +24,11 @@ const seedBuffer = mnemonicToSeedSync(TEST_SEED_PHRASE);
 
 // Tron network configuration
 const TRON_CONFIG = {
-  // rpcUrl: "https://api.trongrid.io", // Mainnet
-  // rpcUrl: 'https://api.shasta.trongrid.io' // Testnet
-  rpcUrl: "https://nile.trongrid.io", // Nile testnet
+  // network: "mainnet",
+  // network: "shasta",
+  network: "nile",
 };
 
-// USDT contract addresses
-const USDT_CONTRACT_ADDRESSES = {
-  "https://api.trongrid.io": "TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t", // Mainnet
-  "https://api.shasta.trongrid.io": "TG3XXyExBkPp9nzdajDZsozEu4BkaSJozs", // Shasta
-  "https://nile.trongrid.io": "TXYZopYRdj2D9XRtbG411XZZ3kM5VkAeBf", // Nile
-};
-
-const usdtContractAddress = USDT_CONTRACT_ADDRESSES[TRON_CONFIG.rpcUrl];
-
 async function runTests() {
   console.log("Starting Tron Wallet Tests...\n");
 
@@ -102,9 +93,8 @@ async function runTests() {
     try {
       const balance = await account.getBalance();
       console.log(`✓ TRX Balance retrieved: ${balance}`);
-      console.log(`Using USDT contract address: ${usdtContractAddress}`);
 
-      const usdtBalance = await account.getTokenBalance(usdtContractAddress);
+      const usdtBalance = await account.getTokenBalance("USDT");
       console.log(`✓ USDT Balance retrieved: ${usdtBalance}\n`);
     } catch (error) {
       console.log(`! Balance test failed: ${error.message}\n`);
@@ -157,7 +147,7 @@ async function runTests() {
 
       const quote = await account.quoteTransfer({
         recipient: recipientAddress,
-        token: usdtContractAddress,
+        token: "USDT",
         amount: amount,
       });
       console.log(`✓ Token transfer quote: ${quote.fee} sun\n`);
@@ -173,7 +163,7 @@ async function runTests() {
 
       const result = await account.transfer({
         recipient: recipientAddress,
-        token: usdtContractAddress,
+        token: "USDT",
         amount: amount,
       });
       console.log(
@@ -1,5 +1,18 @@
 export { default } from "./src/wallet-manager-tron.js";
 export { default as WalletAccountTron } from "./src/wallet-account-tron.js";
+export { default as WalletAccountReadOnlyTron } from "./src/wallet-account-read-only-tron.js";
+export { LocalSigner } from "./src/signer/local-signer.js";
+export { default as PaymentWatcher } from "./src/payment-watcher.js";
+export { getTransactionId, serializeTransaction, deserializeTransaction } from "./src/transaction.js";
+export { NETWORKS } from "./src/networks.js";
 export type TronWalletConfig = import("./src/wallet-manager-tron.js").TronWalletConfig;
 export type KeyPair = import("./src/wallet-account-tron.js").KeyPair;
 export type TronTransaction = import("./src/wallet-account-tron.js").TronTransaction;
+export type TronSerializedTransaction = import("./src/transaction.js").TronSerializedTransaction;
+export type TronTransactionFormat = import("./src/transaction.js").TronTransactionFormat;
+export type TronPayment = import("./src/payment-watcher.js").TronPayment;
+export type TronPaymentWatcherOptions = import("./src/payment-watcher.js").TronPaymentWatcherOptions;
+export type TronNetwork = import("./src/networks.js").TronNetwork;
+export type TronTokenInfo = import("./src/networks.js").TronTokenInfo;
+export type TronFeeRates = import("./src/chain-parameters.js").TronFeeRates;
+export type TronSigner = import("./src/signer/local-signer.js").TronSigner;
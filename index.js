@@ -18,6 +18,29 @@
 /** @typedef {import('./src/wallet-account-tron.js').KeyPair} KeyPair */
 /** @typedef {import('./src/wallet-account-tron.js').TronTransaction} TronTransaction */
 
+/** @typedef {import('./src/signer/local-signer.js').TronSigner} TronSigner */
+
+/** @typedef {import('./src/transaction.js').TronSerializedTransaction} TronSerializedTransaction */
+/** @typedef {import('./src/transaction.js').TronTransactionFormat} TronTransactionFormat */
+
+/** @typedef {import('./src/payment-watcher.js').TronPayment} TronPayment */
+/** @typedef {import('./src/payment-watcher.js').TronPaymentWatcherOptions} TronPaymentWatcherOptions */
+
+/** @typedef {import('./src/networks.js').TronNetwork} TronNetwork */
+/** @typedef {import('./src/networks.js').TronTokenInfo} TronTokenInfo */
+
+/** @typedef {import('./src/chain-parameters.js').TronFeeRates} TronFeeRates */
+
 export { default } from './src/wallet-manager-tron.js'
 
 export { default as WalletAccountTron } from './src/wallet-account-tron.js'
+
+export { default as WalletAccountReadOnlyTron } from './src/wallet-account-read-only-tron.js'
+
+export { LocalSigner } from './src/signer/local-signer.js'
+
+export { default as PaymentWatcher } from './src/payment-watcher.js'
+
+export { getTransactionId, serializeTransaction, deserializeTransaction } from './src/transaction.js'
+
+export { NETWORKS } from './src/networks.js'
@@ -0,0 +1,55 @@
+import TronWeb from "tronweb";
+
+export default class ChainParameters {
+  /**
+   * Creates a new cache of the chain's parameters.
+   *
+   * @param {TronWeb} tronWeb - The tron web instance connected to the provider.
+   * @param {number} [ttl] - How long the values are cached, in milliseconds (default: 60000).
+   */
+  constructor(tronWeb: TronWeb, ttl?: number);
+
+  /**
+   * Returns the chain's current parameters.
+   *
+   * @returns {Promise<Record<string, number>>} The parameters' values, by key (e.g. "getEnergyFee").
+   */
+  get(): Promise<Record<string, number>>;
+
+  /**
+   * Returns the dynamic energy factor of a contract, i.e. the multiplier the network currently applies to the energy
+   * consumed by the contract's calls.
+   *
+   * @param {string} contractAddress - The address of the contract.
+   * @returns {Promise<number>} The energy factor (e.g. 1.2 for a 20% increase).
+   */
+  getEnergyFactor(contractAddress: string): Promise<number>;
+
+  /**
+   * Returns the chain's resource prices and fees.
+   *
+   * @param {string} [contractAddress] - The address of a contract to return the dynamic energy factor of.
+   * @returns {Promise<TronFeeRates>} The fee rates.
+   */
+  getFeeRates(contractAddress?: string): Promise<TronFeeRates>;
+
+  #private;
+}
+
+export type TronFeeRates = {
+  /** The price of bandwidth, in sun per byte. */
+  bandwidthPrice: number;
+  /** The price of energy, in sun per unit. */
+  energyPrice: number;
+  /** The fee burned when a transfer activates a new account, in sun. */
+  accountCreationFee: number;
+  /** The fee burned when a system contract (e.g. an account creation contract) activates a new account, in sun. */
+  systemContractAccountCreationFee: number;
+  /** The fee burned for the memo of a transaction, in sun. */
+  memoFee: number;
+  /**
+   * The dynamic energy factor of the requested contract, i.e. the multiplier applied to the energy consumed by its
+   * calls (e.g. 1.2 for a 20% increase).
+   */
+  energyFactor?: number;
+};
@@ -0,0 +1,149 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+/** @typedef {import('./chain-parameters.d.ts').TronFeeRates} TronFeeRates */
+
+// The chain parameters only change through the super representatives' proposals.
+const DEFAULT_FEE_RATES_TTL = 60_000;
+
+// The energy factors of the contracts are stored with a precision of 4 decimals.
+const ENERGY_FACTOR_PRECISION = 10_000;
+
+/**
+ * A cache of the chain's fee parameters and of the contracts' dynamic energy factors, so that quoting many
+ * transactions doesn't fetch them each time.
+ */
+export default class ChainParameters {
+  #tronWeb;
+  #ttl;
+  #cache;
+
+  /**
+   * Creates a new cache of the chain's parameters.
+   *
+   * @param {Object} tronWeb - The tron web instance connected to the provider.
+   * @param {number} [ttl] - How long the values are cached, in milliseconds (default: 60000).
+   */
+  constructor(tronWeb, ttl = DEFAULT_FEE_RATES_TTL) {
+    if (!(ttl >= 0)) {
+      throw new Error(`Invalid fee rates ttl: ${ttl}`);
+    }
+
+    this.#tronWeb = tronWeb;
+    this.#ttl = ttl;
+    this.#cache = new Map();
+  }
+
+  /**
+   * Returns the chain's current parameters.
+   *
+   * @returns {Promise<Record<string, number>>} The parameters' values, by key (e.g. "getEnergyFee").
+   */
+  async get() {
+    return this.#getCached("parameters", async () => {
+      const chainParameters = await this.#tronWeb.trx.getChainParameters();
+
+      return Object.fromEntries(
+        chainParameters.map(({ key, value }) => [key, Number(value) || 0])
+      );
+    });
+  }
+
+  /**
+   * Returns the dynamic energy factor of a contract, i.e. the multiplier the network currently applies to the energy
+   * consumed by the contract's calls.
+   *
+   * @param {string} contractAddress - The address of the contract.
+   * @returns {Promise<number>} The energy factor (e.g. 1.2 for a 20% increase).
+   */
+  async getEnergyFactor(contractAddress) {
+    return this.#getCached(`energyFactor:${contractAddress}`, async () => {
+      const info = await this.#tronWeb.fullNode.request(
+        "wallet/getcontractinfo",
+        { value: contractAddress, visible: true },
+        "post"
+      );
+
+      if (!info || !info.smart_contract) {
+        throw new Error(`Contract not found: ${contractAddress}`);
+      }
+
+      const energyFactor = info.contract_state
+        ? Number(info.contract_state.energy_factor) || 0
+        : 0;
+
+      return 1 + energyFactor / ENERGY_FACTOR_PRECISION;
+    });
+  }
+
+  /**
+   * Returns the chain's resource prices and fees.
+   *
+   * @param {string} [contractAddress] - The address of a contract to return the dynamic energy factor of.
+   * @returns {Promise<TronFeeRates>} The fee rates.
+   */
+  async getFeeRates(contractAddress) {
+    const [parameters, energyFactor] = await Promise.all([
+      this.get(),
+      contractAddress ? this.getEnergyFactor(contractAddress) : undefined,
+    ]);
+
+    const {
+      getTransactionFee = 0,
+      getEnergyFee = 0,
+      getCreateAccountFee = 0,
+      getCreateNewAccountFeeInSystemContract = 0,
+      getMemoFee = 0,
+    } = parameters;
+
+    const feeRates = {
+      bandwidthPrice: getTransactionFee,
+      energyPrice: getEnergyFee,
+      accountCreationFee: getCreateAccountFee,
+      systemContractAccountCreationFee: getCreateNewAccountFeeInSystemContract,
+      memoFee: getMemoFee,
+    };
+
+    return energyFactor === undefined
+      ? feeRates
+      : { ...feeRates, energyFactor };
+  }
+
+  /**
+   * Returns a cached value, or loads it if it's missing or expired. Concurrent calls share the same request, and
+   * failed requests are not cached.
+   * @private
+   * @param {string} key - The value's key.
+   * @param {() => Promise<any>} load - Loads the value.
+   * @returns {Promise<any>} The value.
+   */
+  async #getCached(key, load) {
+    const cached = this.#cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const entry = { value: load(), expiresAt: Date.now() + this.#ttl };
+    this.#cache.set(key, entry);
+
+    entry.value.catch(() => {
+      if (this.#cache.get(key) === entry) this.#cache.delete(key);
+    });
+
+    return entry.value;
+  }
+}
@@ -0,0 +1,84 @@
+import { TronWalletConfig } from "./wallet-account-tron.js";
+
+/**
+ * The well-known tron networks, with their genesis block ids, trongrid endpoints and tokens.
+ */
+export const NETWORKS: Readonly<
+  Record<"mainnet" | "shasta" | "nile", TronNetwork>
+>;
+
+/**
+ * Returns the network of a wallet's configuration.
+ * @param {TronWalletConfig} [config] - The configuration object.
+ * @returns {TronNetwork & { name?: string }} The network, whose endpoints are lists of urls by order of preference.
+ */
+export function resolveNetwork(
+  config?: TronWalletConfig
+): TronNetwork & { name?: string };
+
+/**
+ * Returns the information of a token of a network's registry, looked up by its symbol (case-insensitive).
+ * @param {TronNetwork} network - The network.
+ * @param {string} symbol - The token's symbol (e.g. "USDT").
+ * @returns {TronTokenInfo | undefined} The token's information, or undefined if the registry has no such token.
+ */
+export function getNetworkToken(
+  network: TronNetwork,
+  symbol: string
+): TronTokenInfo | undefined;
+
+/**
+ * Returns the smart contract address of a token, looking up token symbols (e.g. "USDT") in a network's registry.
+ * @param {TronNetwork & { name?: string }} network - The network.
+ * @param {string} token - The smart contract address or the symbol of the token.
+ * @returns {string} The smart contract address.
+ */
+export function resolveTokenAddress(
+  network: TronNetwork & { name?: string },
+  token: string
+): string;
+
+/**
+ * Checks that a node is connected to a network, by comparing their genesis blocks.
+ * @param {TronNodeProvider} provider - The provider connected to the node.
+ * @param {TronNetwork & { name?: string }} network - The network.
+ * @returns {Promise<void>}
+ */
+export function checkGenesisBlock(
+  provider: TronNodeProvider,
+  network: TronNetwork & { name?: string }
+): Promise<void>;
+
+export type TronNetwork = {
+  /**
+   * The id of the network's genesis block. When set, each full node is checked to be connected to the network
+   * before its first request.
+   */
+  genesisBlockId?: string;
+  /** The url of the full node, or the urls of several full nodes by order of preference. */
+  fullNode: string | string[];
+  /**
+   * The url of the solidity node, or the urls of several solidity nodes by order of preference (default: the full
+   * node).
+   */
+  solidityNode?: string | string[];
+  /**
+   * The url of the event server, or the urls of several event servers by order of preference (default: the full
+   * node).
+   */
+  eventServer?: string | string[];
+  /** The network's well-known tokens, by symbol. */
+  tokens?: Record<string, TronTokenInfo>;
+};
+
+export type TronNodeProvider = {
+  /** Sends a request to the node. */
+  request(url: string, payload?: object, method?: string): Promise<any>;
+};
+
+export type TronTokenInfo = {
+  /** The smart contract address of the token. */
+  address: string;
+  /** The token's number of decimals. */
+  decimals: number;
+};
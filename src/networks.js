@@ -0,0 +1,193 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+import TronWeb from "tronweb";
+
+/** @typedef {import('./networks.d.ts').TronNetwork} TronNetwork */
+/** @typedef {import('./networks.d.ts').TronTokenInfo} TronTokenInfo */
+/** @typedef {import('./wallet-account-tron.js').TronWalletConfig} TronWalletConfig */
+
+/**
+ * The well-known tron networks, with their genesis block ids, trongrid endpoints and tokens.
+ *
+ * @type {Readonly<Record<"mainnet" | "shasta" | "nile", TronNetwork>>}
+ */
+export const NETWORKS = Object.freeze({
+  mainnet: {
+    genesisBlockId:
+      "00000000000000001ebf88508a03865c71d452e25f4d51194196a1d22b6653dc",
+    fullNode: "https://api.trongrid.io",
+    solidityNode: "https://api.trongrid.io",
+    eventServer: "https://api.trongrid.io",
+    tokens: {
+      USDT: { address: "TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t", decimals: 6 },
+      USDC: { address: "TEkxiTehnzSmSe2XqrBj4w32RUN966rdz8", decimals: 6 },
+      USDD: { address: "TXDk8mbtRbXeYuMNS83CfKPaYYT8XWv9Hz", decimals: 18 },
+      WTRX: { address: "TNUC9Qb1rRpS5CbWLmNMxXBjyFoydXjWFR", decimals: 6 },
+    },
+  },
+  shasta: {
+    genesisBlockId:
+      "0000000000000000de1aa88295e1fcf982742f773e0419c5a9c134c994a9059e",
+    fullNode: "https://api.shasta.trongrid.io",
+    solidityNode: "https://api.shasta.trongrid.io",
+    eventServer: "https://api.shasta.trongrid.io",
+    tokens: {
+      USDT: { address: "TG3XXyExBkPp9nzdajDZsozEu4BkaSJozs", decimals: 6 },
+    },
+  },
+  nile: {
+    genesisBlockId:
+      "0000000000000000d698d4192c56cb6be724a558448e2684802de4d6cd8690dc",
+    fullNode: "https://nile.trongrid.io",
+    solidityNode: "https://nile.trongrid.io",
+    eventServer: "https://nile.trongrid.io",
+    tokens: {
+      USDT: { address: "TXYZopYRdj2D9XRtbG411XZZ3kM5VkAeBf", decimals: 6 },
+    },
+  },
+});
+
+const DEFAULT_NETWORK = "mainnet";
+
+/**
+ * Returns the network of a wallet's configuration.
+ *
+ * The 'network' option is either the name of a well-known network or a custom network. Without it, the network is
+ * the well-known network whose full node is the 'rpcUrl' option, if any, or the mainnet if no rpc url is given. An
+ * explicit 'rpcUrl' option overrides the network's endpoints.
+ *
+ * The genesis block id, that the node is checked against, is only set when the network is declared by the 'network'
+ * option.
+ *
+ * @param {TronWalletConfig} [config] - The configuration object.
+ * @returns {TronNetwork & { name?: string }} The network, whose endpoints are lists of urls by order of preference.
+ */
+export function resolveNetwork(config = {}) {
+  const { network, rpcUrl } = config;
+
+  const rpcUrls = rpcUrl ? [].concat(rpcUrl) : undefined;
+
+  let name;
+  let preset;
+
+  if (typeof network === "string") {
+    if (!Object.prototype.hasOwnProperty.call(NETWORKS, network)) {
+      throw new Error(`Unknown network: ${network}`);
+    }
+
+    name = network;
+    preset = NETWORKS[network];
+  } else if (network) {
+    if (!network.fullNode && !rpcUrls) {
+      throw new Error("A custom network must have a full node url");
+    }
+
+    preset = network;
+  } else if (rpcUrls) {
+    const url = rpcUrls[0].replace(/\/+$/, "");
+
+    name = Object.keys(NETWORKS).find((key) => NETWORKS[key].fullNode === url);
+    preset = name ? NETWORKS[name] : { fullNode: rpcUrls };
+  } else {
+    name = DEFAULT_NETWORK;
+    preset = NETWORKS[name];
+  }
+
+  const fullNode = rpcUrls || [].concat(preset.fullNode);
+
+  return {
+    name,
+    genesisBlockId: network ? preset.genesisBlockId : undefined,
+    fullNode,
+    solidityNode: rpcUrls || [].concat(preset.solidityNode || fullNode),
+    eventServer: rpcUrls || [].concat(preset.eventServer || fullNode),
+    tokens: { ...preset.tokens, ...config.tokens },
+  };
+}
+
+/**
+ * Returns the information of a token of a network's registry, looked up by its symbol (case-insensitive).
+ *
+ * @param {TronNetwork} network - The network.
+ * @param {string} symbol - The token's symbol (e.g. "USDT").
+ * @returns {TronTokenInfo | undefined} The token's information, or undefined if the registry has no such token.
+ */
+export function getNetworkToken(network, symbol) {
+  const tokens = network.tokens || {};
+
+  const key = Object.keys(tokens).find(
+    (key) => key.toUpperCase() === String(symbol).toUpperCase()
+  );
+
+  return key ? tokens[key] : undefined;
+}
+
+/**
+ * Returns the smart contract address of a token, looking up token symbols (e.g. "USDT") in a network's registry.
+ *
+ * @param {TronNetwork & { name?: string }} network - The network.
+ * @param {string} token - The smart contract address or the symbol of the token.
+ * @returns {string} The smart contract address.
+ * @throws {Error} If the token is neither an address nor a symbol of the registry.
+ */
+export function resolveTokenAddress(network, token) {
+  if (TronWeb.isAddress(token)) {
+    return token;
+  }
+
+  const info = getNetworkToken(network, token);
+
+  if (!info) {
+    throw new Error(
+      `Unknown token: ${token}${
+        network.name ? ` on the ${network.name} network` : ""
+      }`
+    );
+  }
+
+  return info.address;
+}
+
+/**
+ * Checks that a node is connected to a network, by comparing their genesis blocks.
+ *
+ * @param {Object} provider - The provider connected to the node.
+ * @param {TronNetwork & { name?: string }} network - The network.
+ * @returns {Promise<void>}
+ * @throws {Error} If the node's genesis block is not the network's one.
+ */
+export async function checkGenesisBlock(provider, network) {
+  const block = await provider.request(
+    "wallet/getblockbynum",
+    { num: 0 },
+    "post"
+  );
+
+  if (!block || !block.blockID) {
+    throw new Error("Failed to fetch the genesis block of the node");
+  }
+
+  if (block.blockID.toLowerCase() !== network.genesisBlockId.toLowerCase()) {
+    throw new Error(
+      `The node is not connected to the ${
+        network.name || "expected"
+      } network: its genesis block is ${block.blockID}, expected ${
+        network.genesisBlockId
+      }`
+    );
+  }
+}
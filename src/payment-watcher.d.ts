@@ -0,0 +1,131 @@
+import { EventEmitter } from "events";
+import WalletAccountTron from "./wallet-account-tron.js";
+
+export default class PaymentWatcher extends EventEmitter {
+  /**
+   * Creates a new payment watcher.
+   *
+   * @param {Object} tronWeb - The tron web instance connected to the provider.
+   * @param {TronPaymentWatcherOptions} [options] - The watcher's options.
+   */
+  constructor(tronWeb: object, options?: TronPaymentWatcherOptions);
+
+  /**
+   * The number of the last processed block.
+   * @type {number | undefined}
+   */
+  get lastBlock(): number | undefined;
+
+  /**
+   * True if the watcher is running.
+   * @type {boolean}
+   */
+  get isRunning(): boolean;
+
+  /**
+   * Starts following the payments to an account.
+   * @param {WalletAccountTron | string} account - The account, or its address.
+   * @returns {Promise<void>}
+   */
+  watch(account: WalletAccountTron | string): Promise<void>;
+
+  /**
+   * Stops following the payments to an account.
+   * @param {WalletAccountTron | string} account - The account, or its address.
+   * @returns {Promise<void>}
+   */
+  unwatch(account: WalletAccountTron | string): Promise<void>;
+
+  /**
+   * Starts following the transfers of a TRC20 token.
+   * @param {string} token - The smart contract address of the token.
+   */
+  watchToken(token: string): void;
+
+  /**
+   * Starts polling the network for new blocks.
+   */
+  start(): void;
+
+  /**
+   * Stops polling the network. Resolves once the block being processed, if any, is done.
+   * @returns {Promise<void>}
+   */
+  stop(): Promise<void>;
+
+  on(event: "payment", listener: (payment: TronPayment) => void): this;
+  on(event: "checkpoint", listener: (blockNumber: number) => void): this;
+  on(event: "error", listener: (error: unknown) => void): this;
+
+  #private;
+}
+
+export type TronPaymentWatcherOptions = {
+  /**
+   * The accounts to follow, or their addresses.
+   */
+  accounts?: (WalletAccountTron | string)[];
+  /**
+   * The smart contract addresses of the TRC20 tokens to follow.
+   */
+  tokens?: string[];
+  /**
+   * The number of confirmations a payment needs before being reported (default: 19, i.e. solidified).
+   */
+  confirmations?: number;
+  /**
+   * The interval between two polls of the network, in milliseconds (default: 3000).
+   */
+  pollingInterval?: number;
+  /**
+   * The number of the last processed block, to resume from a previous run.
+   */
+  lastBlock?: number;
+};
+
+export type TronPayment = {
+  /**
+   * The payment's unique id, made of the transaction's hash and the payment's index in the transaction.
+   */
+  id: string;
+  /**
+   * The transaction's hash.
+   */
+  hash: string;
+  /**
+   * The number of the block that includes the transaction.
+   */
+  blockNumber: number;
+  /**
+   * The id of the block that includes the transaction.
+   */
+  blockHash: string;
+  /**
+   * The block's timestamp, in milliseconds.
+   */
+  timestamp: number;
+  /**
+   * The sender's address.
+   */
+  from: string;
+  /**
+   * The recipient's address.
+   */
+  to: string;
+  /**
+   * The smart contract address of the token, or null for trx.
+   */
+  token: string | null;
+  /**
+   * The amount received, in sun for trx or in base unit for tokens.
+   */
+  amount: number;
+  /**
+   * The memo of the payment's transaction decoded as a utf-8 string (e.g. a deposit reference), or null if it has none.
+   */
+  memo: string | null;
+  /**
+   * The number of confirmations of the payment when it was reported.
+   */
+  confirmations: number;
+};
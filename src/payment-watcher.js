@@ -0,0 +1,377 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+import { EventEmitter } from "events";
+import { decodeMemo } from "./transaction.js";
+
+/** @typedef {import('./payment-watcher.d.ts').TronPayment} TronPayment */
+/** @typedef {import('./payment-watcher.d.ts').TronPaymentWatcherOptions} TronPaymentWatcherOptions */
+/** @typedef {import('./wallet-account-tron.js').default} WalletAccountTron */
+
+// Blocks become irreversible once they are confirmed by 2/3 of the 27 super representatives.
+const DEFAULT_CONFIRMATIONS = 19;
+
+// A new block is produced every 3 seconds.
+const DEFAULT_POLLING_INTERVAL = 3_000;
+
+// The maximum number of blocks the nodes return in a single block range request.
+const MAX_BLOCK_RANGE = 100;
+
+// keccak256("Transfer(address,address,uint256)")
+const TRANSFER_EVENT_TOPIC =
+  "ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+/**
+ * Follows a set of accounts and emits a 'payment' event for every incoming trx or TRC20 transfer once it reaches
+ * the required number of confirmations.
+ *
+ * Blocks are processed in order, and a 'checkpoint' event is emitted with the number of the last processed block
+ * after all its payments have been emitted. Passing that number back as the 'lastBlock' option resumes the watcher
+ * where it stopped. Each payment carries a stable id, that consumers persisting their state non-atomically can use
+ * to discard the payments of a block they have already handled.
+ *
+ * Polling errors are emitted as 'error' events, if the watcher has any 'error' listener, and the failed blocks are
+ * processed again on the next poll.
+ */
+export default class PaymentWatcher extends EventEmitter {
+  #tronWeb;
+  #addresses;
+  #tokens;
+  #confirmations;
+  #pollingInterval;
+  #lastBlock;
+  #watching;
+  #timeout;
+  #polling;
+  #run;
+
+  /**
+   * Creates a new payment watcher.
+   *
+   * @param {Object} tronWeb - The tron web instance connected to the provider.
+   * @param {TronPaymentWatcherOptions} [options] - The watcher's options.
+   */
+  constructor(tronWeb, options = {}) {
+    super();
+
+    const {
+      accounts = [],
+      tokens = [],
+      confirmations = DEFAULT_CONFIRMATIONS,
+      pollingInterval = DEFAULT_POLLING_INTERVAL,
+      lastBlock,
+    } = options;
+
+    if (!Number.isInteger(confirmations) || confirmations < 1) {
+      throw new Error("The number of confirmations must be a positive integer");
+    }
+
+    this.#tronWeb = tronWeb;
+    this.#addresses = new Map();
+    this.#tokens = new Map();
+    this.#confirmations = confirmations;
+    this.#pollingInterval = pollingInterval;
+    this.#lastBlock = lastBlock;
+    this.#timeout = null;
+    this.#polling = null;
+    this.#run = 0;
+
+    for (const token of tokens) this.watchToken(token);
+
+    // The accounts' addresses might be known asynchronously (e.g. from a remote signer): the first poll waits for them
+    this.#watching = Promise.all(
+      accounts.map((account) => this.watch(account))
+    );
+    this.#watching.catch(() => {});
+  }
+
+  /**
+   * The number of the last processed block.
+   *
+   * @type {number | undefined}
+   */
+  get lastBlock() {
+    return this.#lastBlock;
+  }
+
+  /**
+   * True if the watcher is running.
+   *
+   * @type {boolean}
+   */
+  get isRunning() {
+    return this.#timeout !== null || this.#polling !== null;
+  }
+
+  /**
+   * Starts following the payments to an account.
+   *
+   * @param {WalletAccountTron | string} account - The account, or its address.
+   * @returns {Promise<void>}
+   */
+  async watch(account) {
+    const address =
+      typeof account === "string" ? account : await account.getAddress();
+    this.#addresses.set(this.#toHex(address), address);
+  }
+
+  /**
+   * Stops following the payments to an account.
+   *
+   * @param {WalletAccountTron | string} account - The account, or its address.
+   * @returns {Promise<void>}
+   */
+  async unwatch(account) {
+    const address =
+      typeof account === "string" ? account : await account.getAddress();
+    this.#addresses.delete(this.#toHex(address));
+  }
+
+  /**
+   * Starts following the transfers of a TRC20 token.
+   *
+   * @param {string} token - The smart contract address of the token.
+   */
+  watchToken(token) {
+    this.#tokens.set(this.#toHex(token), token);
+  }
+
+  /**
+   * Starts polling the network for new blocks.
+   * If no 'lastBlock' option was given, only the blocks confirmed after this call are processed.
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.#schedule(0);
+  }
+
+  /**
+   * Stops polling the network. Resolves once the block being processed, if any, is done.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearTimeout(this.#timeout);
+    this.#timeout = null;
+
+    // The poll in progress, if any, belongs to the previous run and stops at its next step
+    this.#run++;
+
+    const polling = this.#polling;
+    this.#polling = null;
+
+    await polling;
+  }
+
+  /**
+   * Schedules the next poll.
+   * @private
+   * @param {number} delay - The delay before the poll, in milliseconds.
+   */
+  #schedule(delay) {
+    const run = this.#run;
+
+    this.#timeout = setTimeout(() => {
+      this.#timeout = null;
+      this.#polling = this.#poll(run).finally(() => {
+        if (run === this.#run) {
+          this.#polling = null;
+          this.#schedule(this.#pollingInterval);
+        }
+      });
+    }, delay);
+  }
+
+  /**
+   * Processes the blocks confirmed since the last processed block.
+   * @private
+   * @param {number} run - The run the poll belongs to.
+   */
+  async #poll(run) {
+    try {
+      await this.#watching;
+
+      const currentBlock = await this.#tronWeb.trx.getCurrentBlock();
+
+      if (run !== this.#run) return;
+
+      const headNumber = currentBlock.block_header.raw_data.number;
+      const confirmedNumber = headNumber - this.#confirmations + 1;
+
+      if (this.#lastBlock === undefined) {
+        this.#lastBlock = confirmedNumber;
+        return;
+      }
+
+      while (run === this.#run && this.#lastBlock < confirmedNumber) {
+        const start = this.#lastBlock + 1;
+        const end = Math.min(start + MAX_BLOCK_RANGE - 1, confirmedNumber);
+
+        const blocks = await this.#tronWeb.trx.getBlockRange(start, end);
+
+        if (run !== this.#run) break;
+
+        // The node might not have the blocks yet, retry on the next poll
+        if (blocks.length === 0) break;
+
+        blocks.sort(
+          (a, b) =>
+            a.block_header.raw_data.number - b.block_header.raw_data.number
+        );
+
+        for (const block of blocks) {
+          const blockNumber = block.block_header.raw_data.number;
+
+          if (blockNumber !== this.#lastBlock + 1) {
+            throw new Error(`Missing block ${this.#lastBlock + 1}`);
+          }
+
+          const payments = await this.#getBlockPayments(block);
+
+          if (run !== this.#run) break;
+
+          for (const payment of payments) {
+            this.emit("payment", {
+              ...payment,
+              confirmations: headNumber - blockNumber + 1,
+            });
+          }
+
+          this.#lastBlock = blockNumber;
+          this.emit("checkpoint", blockNumber);
+        }
+      }
+    } catch (error) {
+      // Errors thrown from timers would crash the process, so they're only reported to the listeners
+      if (run === this.#run && this.listenerCount("error") > 0) {
+        this.emit("error", error);
+      }
+    }
+  }
+
+  /**
+   * Returns the payments to the watched accounts included in a block.
+   * @private
+   * @param {Object} block - The block.
+   * @returns {Promise<Omit<TronPayment, "confirmations">[]>} The payments.
+   */
+  async #getBlockPayments(block) {
+    const { blockID } = block;
+    const { number: blockNumber, timestamp } = block.block_header.raw_data;
+    const transactions = block.transactions || [];
+
+    const payments = [];
+
+    for (const transaction of transactions) {
+      const [contract] = transaction.raw_data.contract;
+      const [ret] = transaction.ret || [];
+
+      if (
+        contract.type !== "TransferContract" ||
+        (ret && ret.contractRet && ret.contractRet !== "SUCCESS")
+      ) {
+        continue;
+      }
+
+      const {
+        owner_address: ownerAddress,
+        to_address: toAddress,
+        amount,
+      } = contract.parameter.value;
+
+      if (this.#addresses.has(toAddress.toLowerCase())) {
+        payments.push({
+          id: `${transaction.txID}:0`,
+          hash: transaction.txID,
+          blockNumber,
+          blockHash: blockID,
+          timestamp,
+          from: this.#tronWeb.address.fromHex(ownerAddress),
+          to: this.#addresses.get(toAddress.toLowerCase()),
+          token: null,
+          amount: Number(amount),
+          memo: decodeMemo(transaction.raw_data.data),
+        });
+      }
+    }
+
+    const hasContractCalls = transactions.some(
+      ({ raw_data: rawData }) =>
+        rawData.contract[0].type === "TriggerSmartContract"
+    );
+
+    if (this.#tokens.size === 0 || !hasContractCalls) {
+      return payments;
+    }
+
+    // Token transfers are read from the events, as they can be performed by any contract call
+    const infos = await this.#tronWeb.fullNode.request(
+      "wallet/gettransactioninfobyblocknum",
+      { num: blockNumber },
+      "post"
+    );
+
+    const transactionsById = new Map(
+      transactions.map((transaction) => [transaction.txID, transaction])
+    );
+
+    for (const info of Array.isArray(infos) ? infos : []) {
+      (info.log || []).forEach(({ address, topics, data }, index) => {
+        if (
+          !topics ||
+          topics.length !== 3 ||
+          topics[0] !== TRANSFER_EVENT_TOPIC ||
+          !this.#tokens.has(`41${address}`.toLowerCase())
+        ) {
+          return;
+        }
+
+        const to = `41${topics[2].slice(24)}`.toLowerCase();
+        const transaction = transactionsById.get(info.id);
+
+        if (this.#addresses.has(to)) {
+          payments.push({
+            id: `${info.id}:${index + 1}`,
+            hash: info.id,
+            blockNumber,
+            blockHash: blockID,
+            timestamp,
+            from: this.#tronWeb.address.fromHex(`41${topics[1].slice(24)}`),
+            to: this.#addresses.get(to),
+            token: this.#tokens.get(`41${address}`.toLowerCase()),
+            amount: Number(BigInt("0x" + (data || "0"))),
+            memo: transaction ? decodeMemo(transaction.raw_data.data) : null,
+          });
+        }
+      });
+    }
+
+    return payments;
+  }
+
+  /**
+   * Converts an address to the lowercase hex format used in blocks.
+   * @private
+   * @param {string} address - The address.
+   * @returns {string} The address in hex format.
+   */
+  #toHex(address) {
+    return this.#tronWeb.address.toHex(address).toLowerCase();
+  }
+}
@@ -0,0 +1,75 @@
+import TronWeb from "tronweb";
+import { TronWalletConfig } from "./wallet-account-tron.js";
+import { TronNetwork } from "./networks.js";
+
+/**
+ * The code of the errors thrown when a broadcast might have reached the node (e.g. after a timeout).
+ */
+export const BROADCAST_OUTCOME_UNKNOWN: "BROADCAST_OUTCOME_UNKNOWN";
+
+export class FailoverProvider {
+  /**
+   * Creates a new failover provider.
+   *
+   * @param {string[]} urls - The endpoints' urls, by order of preference.
+   * @param {TronFailoverProviderOptions} [options] - The provider's options.
+   */
+  constructor(urls: string[], options?: TronFailoverProviderOptions);
+
+  /**
+   * The url of the first endpoint.
+   * @type {string}
+   */
+  host: string;
+
+  /**
+   * The endpoints' urls, by order of preference.
+   * @type {string[]}
+   */
+  get urls(): string[];
+
+  /**
+   * Sends a request to the current endpoint, retrying and failing over on transient errors.
+   * @param {string} url - The request's path.
+   * @param {object} [payload] - The request's query parameters or body.
+   * @param {string} [method] - The request's http method (default: "get").
+   * @returns {Promise<any>} The response's data.
+   */
+  request(url: string, payload?: object, method?: string): Promise<any>;
+
+  /**
+   * Checks that the endpoint the next request is sent to is connected to the provider's network, failing over on
+   * transient errors. Endpoints are only checked once.
+   * @returns {Promise<void>}
+   */
+  checkNetwork(): Promise<void>;
+
+  #private;
+}
+
+/**
+ * Creates a tron web instance connected to the provider of a wallet's configuration.
+ * @param {TronWalletConfig} [config] - The configuration object.
+ * @returns {TronWeb} The tron web instance.
+ */
+export function createTronWeb(config?: TronWalletConfig): TronWeb;
+
+export type TronFailoverProviderOptions = {
+  /**
+   * The headers sent with every request.
+   */
+  headers?: Record<string, string>;
+  /**
+   * The requests' timeout, in milliseconds (default: 30000).
+   */
+  timeout?: number;
+  /**
+   * The number of retries of a request failing with a transient error on each endpoint (default: 2).
+   */
+  retries?: number;
+  /**
+   * The network the endpoints must be connected to. When it has a genesis block id, each endpoint is checked
+   * before its first request.
+   */
+  network?: TronNetwork & { name?: string };
+};
@@ -0,0 +1,341 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+import TronWeb from "tronweb";
+import { checkGenesisBlock, resolveNetwork } from "./networks.js";
+
+/** @typedef {import('./networks.d.ts').TronNetwork} TronNetwork */
+/** @typedef {import('./wallet-account-tron.js').TronWalletConfig} TronWalletConfig */
+
+const DEFAULT_TIMEOUT = 30_000;
+
+const DEFAULT_RETRIES = 2;
+
+// The first retry waits 500ms, and each following one twice as long as the previous.
+const BASE_RETRY_DELAY = 500;
+
+const MAX_RETRY_DELAY = 10_000;
+
+// Once the provider has failed over, the preferred endpoint is tried again after this delay.
+const FAILBACK_DELAY = 60_000;
+
+// The endpoints that broadcast signed transactions. Their requests are only retried when they can't have reached
+// the node, so that a transaction is never broadcast twice.
+const BROADCAST_PATHS = new Set([
+  "wallet/broadcasttransaction",
+  "wallet/broadcasthex",
+]);
+
+// The code of the errors thrown when a broadcast might have reached the node (e.g. after a timeout), so that its
+// transaction might have been included in a block.
+export const BROADCAST_OUTCOME_UNKNOWN = "BROADCAST_OUTCOME_UNKNOWN";
+
+// Network errors raised when the endpoint's host name can't be resolved. Retrying them on the same endpoint is
+// pointless, so the request is sent to the next endpoint right away.
+const DNS_ERROR_CODES = new Set(["ENOTFOUND", "EAI_AGAIN"]);
+
+// Network errors raised before the request is sent.
+const CONNECTION_ERROR_CODES = new Set(["ECONNREFUSED", ...DNS_ERROR_CODES]);
+
+// Network errors raised once the request might have been sent (e.g. timeouts).
+const INTERRUPTED_REQUEST_ERROR_CODES = new Set([
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EPIPE",
+]);
+
+/**
+ * Checks if a request failed without reaching the node, so that it's safe to send it again.
+ * @param {Object} error - The request's error.
+ * @returns {boolean} True if the node hasn't received the request.
+ */
+function isUnsentRequestError(error) {
+  if (error.response) {
+    return error.response.status === 429;
+  }
+
+  return CONNECTION_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Checks if a request failed because of a transient error (rate limiting, server errors, timeouts).
+ * @param {Object} error - The request's error.
+ * @returns {boolean} True if the request might succeed if sent again.
+ */
+function isTransientError(error) {
+  if (error.response) {
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+
+  return (
+    CONNECTION_ERROR_CODES.has(error.code) ||
+    INTERRUPTED_REQUEST_ERROR_CODES.has(error.code)
+  );
+}
+
+/**
+ * Returns how long to wait before retrying a request, honoring the node's 'Retry-After' header if any.
+ * @param {Object} error - The request's error.
+ * @param {number} attempt - The number of the failed attempt, starting from 0.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = Number(
+    error.response && error.response.headers
+      ? error.response.headers["retry-after"]
+      : NaN
+  );
+
+  const delay =
+    retryAfter >= 0 ? retryAfter * 1_000 : BASE_RETRY_DELAY * 2 ** attempt;
+
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * A tron web provider that sends its requests to an ordered list of endpoints. Requests failing with a transient
+ * error are retried with an exponential backoff, then sent to the next endpoint, which is kept for the following
+ * requests until the preferred endpoint is tried again, one minute later. Requests whose endpoint's host name can't
+ * be resolved are sent to the next endpoint without retrying.
+ *
+ * Broadcasts are only retried if they failed before reaching the node: when their outcome is unknown (e.g. after a
+ * timeout), an error is thrown instead, and the transaction's status should be checked before broadcasting it again.
+ *
+ * When the provider has a network with a genesis block id, each endpoint is checked to be connected to the network
+ * before the first request it receives.
+ */
+export class FailoverProvider extends TronWeb.providers.HttpProvider {
+  #providers;
+  #current;
+  #failedOverAt;
+  #retries;
+  #network;
+  #networkChecks;
+
+  /**
+   * Creates a new failover provider.
+   *
+   * @param {string[]} urls - The endpoints' urls, by order of preference.
+   * @param {Object} [options] - The provider's options.
+   * @param {Record<string, string>} [options.headers] - The headers sent with every request.
+   * @param {number} [options.timeout] - The requests' timeout, in milliseconds (default: 30000).
+   * @param {number} [options.retries] - The number of retries of a failed request on each endpoint (default: 2).
+   * @param {TronNetwork & { name?: string }} [options.network] - The network the endpoints must be connected to.
+   */
+  constructor(urls, options = {}) {
+    const {
+      headers = {},
+      timeout = DEFAULT_TIMEOUT,
+      retries = DEFAULT_RETRIES,
+      network,
+    } = options;
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new Error("At least one rpc url must be provided");
+    }
+
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error("The number of retries must be a non-negative integer");
+    }
+
+    super(urls[0], timeout, false, false, headers);
+
+    this.#providers = urls.map(
+      (url) =>
+        new TronWeb.providers.HttpProvider(url, timeout, false, false, headers)
+    );
+    this.#current = 0;
+    this.#failedOverAt = 0;
+    this.#retries = retries;
+    this.#network = network;
+    this.#networkChecks = urls.map(() => null);
+  }
+
+  /**
+   * The endpoints' urls, by order of preference.
+   *
+   * @type {string[]}
+   */
+  get urls() {
+    return this.#providers.map(({ host }) => host);
+  }
+
+  /**
+   * Sends a request to the current endpoint, retrying and failing over on transient errors.
+   *
+   * @param {string} url - The request's path.
+   * @param {Object} [payload] - The request's query parameters or body.
+   * @param {string} [method] - The request's http method (default: "get").
+   * @returns {Promise<any>} The response's data.
+   */
+  async request(url, payload = {}, method = "get") {
+    const isBroadcast = BROADCAST_PATHS.has(url.replace(/^\/+/, ""));
+
+    return this.#send(
+      (provider) => provider.request(url, payload, method),
+      isBroadcast
+    );
+  }
+
+  /**
+   * Checks that the endpoint the next request is sent to is connected to the provider's network, failing over on
+   * transient errors. Endpoints are only checked once.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the endpoint is connected to another network.
+   */
+  async checkNetwork() {
+    await this.#send(() => undefined, false);
+  }
+
+  /**
+   * Checks that an endpoint is connected to the provider's network, if any. The check runs before the endpoint's
+   * first request, and again after a failure.
+   * @private
+   * @param {number} index - The endpoint's index.
+   * @returns {Promise<void>}
+   */
+  async #checkEndpoint(index) {
+    if (!this.#network || !this.#network.genesisBlockId) {
+      return;
+    }
+
+    if (!this.#networkChecks[index]) {
+      const check = checkGenesisBlock(this.#providers[index], this.#network);
+
+      this.#networkChecks[index] = check;
+      check.catch(() => {
+        if (this.#networkChecks[index] === check) {
+          this.#networkChecks[index] = null;
+        }
+      });
+    }
+
+    await this.#networkChecks[index];
+  }
+
+  /**
+   * Sends a request to the current endpoint, retrying and failing over on transient errors.
+   * @private
+   * @param {(provider: Object) => Promise<any>} send - Sends the request to an endpoint's provider.
+   * @param {boolean} isBroadcast - Whether the request broadcasts a transaction.
+   * @returns {Promise<any>} The response's data.
+   */
+  async #send(send, isBroadcast) {
+    if (
+      this.#current !== 0 &&
+      Date.now() - this.#failedOverAt >= FAILBACK_DELAY
+    ) {
+      this.#current = 0;
+    }
+
+    let lastError;
+
+    for (let i = 0; i < this.#providers.length; i++) {
+      const index = (this.#current + i) % this.#providers.length;
+
+      for (let attempt = 0; attempt <= this.#retries; attempt++) {
+        let isSent = false;
+
+        try {
+          await this.#checkEndpoint(index);
+
+          isSent = true;
+
+          const data = await send(this.#providers[index]);
+
+          if (index !== this.#current) {
+            this.#current = index;
+            this.#failedOverAt = Date.now();
+          }
+
+          return data;
+        } catch (error) {
+          if (isBroadcast && isSent && !isUnsentRequestError(error)) {
+            if (!isTransientError(error)) {
+              throw error;
+            }
+
+            throw Object.assign(
+              new Error(
+                `The broadcast's outcome is unknown, check the transaction's status before sending it again: ${error.message}`
+              ),
+              { code: BROADCAST_OUTCOME_UNKNOWN }
+            );
+          }
+
+          if (!isTransientError(error)) {
+            throw error;
+          }
+
+          lastError = error;
+
+          if (DNS_ERROR_CODES.has(error.code)) {
+            break;
+          }
+
+          if (attempt < this.#retries) {
+            await new Promise((resolve) =>
+              setTimeout(resolve, getRetryDelay(error, attempt))
+            );
+          }
+        }
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+/**
+ * Creates a tron web instance connected to the network of a wallet's configuration. The full node, solidity node and
+ * event server share a single provider when they have the same endpoints.
+ *
+ * @param {TronWalletConfig} [config] - The configuration object.
+ * @returns {TronWeb} The tron web instance.
+ */
+export function createTronWeb(config = {}) {
+  const { apiKey, headers, timeout, retries } = config;
+
+  const network = resolveNetwork(config);
+  const { fullNode, solidityNode, eventServer } = network;
+
+  const options = {
+    headers: apiKey ? { ...headers, "TRON-PRO-API-KEY": apiKey } : headers,
+    timeout,
+    retries,
+  };
+
+  const providers = new Map();
+
+  const getProvider = (urls, providerOptions = options) => {
+    const key = urls.join(" ");
+
+    if (!providers.has(key)) {
+      providers.set(key, new FailoverProvider(urls, providerOptions));
+    }
+
+    return providers.get(key);
+  };
+
+  return new TronWeb({
+    // Only the full node's endpoints are checked against the network, as they serve the genesis block
+    fullNode: getProvider(fullNode, { ...options, network }),
+    solidityNode: getProvider(solidityNode),
+    eventServer: getProvider(eventServer),
+  });
+}
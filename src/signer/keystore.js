@@ -0,0 +1,172 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { createCipheriv, createDecipheriv, randomUUID } from 'crypto'
+import { scryptAsync } from '@noble/hashes/scrypt'
+import { pbkdf2Async } from '@noble/hashes/pbkdf2'
+import { sha256 } from '@noble/hashes/sha256'
+import { keccak_256 as keccak256 } from '@noble/hashes/sha3'
+import { randomBytes } from '@noble/hashes/utils'
+
+/** Constants for Web3 Secret Storage (V3 keystore) files */
+const CONSTANTS = {
+  VERSION: 3,
+  CIPHER: 'aes-128-ctr',
+  DERIVED_KEY_SIZE: 32,
+  SALT_SIZE: 32,
+  IV_SIZE: 16,
+  // Default scrypt parameters of the standard keystore files (~256 MB of memory)
+  SCRYPT_N: 262144,
+  SCRYPT_R: 8,
+  SCRYPT_P: 1,
+  // Keystores asking for costlier parameters are rejected rather than exhausting the memory
+  SCRYPT_MAX_N: 262144,
+  SCRYPT_MAX_R: 8,
+  SCRYPT_MAX_P: 1
+}
+
+// The memory used by scrypt with the maximum parameters
+const SCRYPT_MAX_MEMORY = 128 * CONSTANTS.SCRYPT_MAX_R * (CONSTANTS.SCRYPT_MAX_N + CONSTANTS.SCRYPT_MAX_P)
+
+/**
+ * Derives the encryption key of a keystore from its password
+ * @param {string} password - The keystore's password
+ * @param {string} kdf - The key derivation function ("scrypt" or "pbkdf2")
+ * @param {Object} kdfparams - The key derivation function's parameters
+ * @returns {Promise<Uint8Array>} The derived key
+ * @throws {Error} If the key derivation function or its parameters are not supported
+ */
+async function deriveKey (password, kdf, kdfparams) {
+  const salt = Buffer.from(kdfparams.salt, 'hex')
+
+  if (kdf === 'scrypt') {
+    const { n: N, r, p, dklen: dkLen } = kdfparams
+
+    if (!(N <= CONSTANTS.SCRYPT_MAX_N && r <= CONSTANTS.SCRYPT_MAX_R && p <= CONSTANTS.SCRYPT_MAX_P)) {
+      throw new Error(`Unsupported keystore scrypt parameters: n=${N}, r=${r}, p=${p}`)
+    }
+
+    return scryptAsync(password.normalize('NFKC'), salt, { N, r, p, dkLen, maxmem: SCRYPT_MAX_MEMORY })
+  }
+
+  if (kdf === 'pbkdf2') {
+    if (kdfparams.prf !== 'hmac-sha256') {
+      throw new Error(`Unsupported keystore pseudo-random function: ${kdfparams.prf}`)
+    }
+
+    const { c, dklen: dkLen } = kdfparams
+    return pbkdf2Async(sha256, password.normalize('NFKC'), salt, { c, dkLen })
+  }
+
+  throw new Error(`Unsupported keystore key derivation function: ${kdf}`)
+}
+
+/**
+ * Computes the mac of a keystore's ciphertext
+ * @param {Uint8Array} derivedKey - The key derived from the password
+ * @param {Uint8Array} ciphertext - The encrypted private key
+ * @returns {string} The mac in hex format
+ */
+function computeMac (derivedKey, ciphertext) {
+  return Buffer.from(keccak256(new Uint8Array([...derivedKey.subarray(16, 32), ...ciphertext]))).toString('hex')
+}
+
+/**
+ * Encrypts a private key into a Web3 Secret Storage (V3 keystore) file
+ * @param {Uint8Array} privateKey - The private key to encrypt
+ * @param {string} password - The keystore's password
+ * @param {string} address - The address of the private key
+ * @param {Object} [options] - The scrypt's parameters
+ * @param {number} [options.n] - The scrypt's cost parameter (default and maximum: 262144)
+ * @returns {Promise<Object>} The keystore
+ */
+export async function encryptKeystore (privateKey, password, address, options = {}) {
+  const { n = CONSTANTS.SCRYPT_N } = options
+
+  const kdfparams = {
+    dklen: CONSTANTS.DERIVED_KEY_SIZE,
+    n,
+    r: CONSTANTS.SCRYPT_R,
+    p: CONSTANTS.SCRYPT_P,
+    salt: Buffer.from(randomBytes(CONSTANTS.SALT_SIZE)).toString('hex')
+  }
+  const iv = randomBytes(CONSTANTS.IV_SIZE)
+
+  const derivedKey = await deriveKey(password, 'scrypt', kdfparams)
+
+  try {
+    const cipher = createCipheriv(CONSTANTS.CIPHER, derivedKey.subarray(0, 16), iv)
+    const ciphertext = Buffer.concat([cipher.update(privateKey), cipher.final()])
+
+    return {
+      version: CONSTANTS.VERSION,
+      id: randomUUID(),
+      address,
+      crypto: {
+        cipher: CONSTANTS.CIPHER,
+        cipherparams: { iv: Buffer.from(iv).toString('hex') },
+        ciphertext: ciphertext.toString('hex'),
+        kdf: 'scrypt',
+        kdfparams,
+        mac: computeMac(derivedKey, ciphertext)
+      }
+    }
+  } finally {
+    derivedKey.fill(0)
+  }
+}
+
+/**
+ * Decrypts the private key of a Web3 Secret Storage (V3 keystore) file
+ * @param {Object | string} keystore - The keystore, or its json
+ * @param {string} password - The keystore's password
+ * @param {Uint8Array} privateKeyBuffer - Buffer to store the decrypted private key
+ * @throws {Error} If the keystore is invalid or the password is wrong
+ */
+export async function decryptKeystore (keystore, password, privateKeyBuffer) {
+  const { version, crypto } = typeof keystore === 'string' ? JSON.parse(keystore) : keystore
+
+  if (version !== CONSTANTS.VERSION || !crypto) {
+    throw new Error('Unsupported keystore version')
+  }
+
+  if (crypto.cipher !== CONSTANTS.CIPHER) {
+    throw new Error(`Unsupported keystore cipher: ${crypto.cipher}`)
+  }
+
+  const derivedKey = await deriveKey(password, crypto.kdf, crypto.kdfparams)
+
+  try {
+    const ciphertext = Buffer.from(crypto.ciphertext, 'hex')
+
+    if (computeMac(derivedKey, ciphertext) !== crypto.mac.toLowerCase()) {
+      throw new Error('Invalid keystore password')
+    }
+
+    const decipher = createDecipheriv(CONSTANTS.CIPHER, derivedKey.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, 'hex'))
+    const privateKey = Buffer.concat([decipher.update(ciphertext), decipher.final()])
+
+    if (privateKey.length !== privateKeyBuffer.length) {
+      privateKey.fill(0)
+      throw new Error('Invalid keystore private key')
+    }
+
+    privateKeyBuffer.set(privateKey)
+    privateKey.fill(0)
+  } finally {
+    derivedKey.fill(0)
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * A signer, e.g. backed by a hardware security module or a remote signing service.
+ */
+export interface TronSigner {
+  /**
+   * Returns the signer's secp256k1 public key, compressed or uncompressed.
+   */
+  getPublicKey(): Uint8Array | Promise<Uint8Array>;
+
+  /**
+   * Signs a 32-byte digest. The signature is 65 bytes long: r, s and the recovery id (0/1 or 27/28), either as a
+   * byte array or in hex format.
+   */
+  signDigest(
+    digest: Uint8Array
+  ): string | Uint8Array | Promise<string | Uint8Array>;
+}
+
+export class LocalSigner implements TronSigner {
+  /**
+   * Creates a new local signer.
+   * @param {Uint8Array} privateKeyBuffer - The 32-byte private key.
+   */
+  constructor(privateKeyBuffer: Uint8Array);
+
+  /**
+   * Returns the signer's public key.
+   * @returns {Uint8Array} The uncompressed public key.
+   */
+  getPublicKey(): Uint8Array;
+
+  /**
+   * Signs a 32-byte digest.
+   * @param {Uint8Array} digest - The digest to sign.
+   * @returns {string} The signature (r, s and recovery id) in hex format.
+   */
+  signDigest(digest: Uint8Array): string;
+
+  #private;
+}
@@ -0,0 +1,53 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { CustomSigningKey } from './custom-signing-key.js'
+
+/** @typedef {import('./local-signer.d.ts').TronSigner} TronSigner */
+
+/**
+ * A signer holding its private key in the process' memory.
+ * @implements {TronSigner}
+ */
+export class LocalSigner {
+  #signingKey
+
+  /**
+   * Creates a new local signer.
+   * @param {Uint8Array} privateKeyBuffer - The 32-byte private key. The buffer is not copied: the owner wipes it
+   *   when the signer is no longer used
+   */
+  constructor (privateKeyBuffer) {
+    this.#signingKey = new CustomSigningKey(privateKeyBuffer)
+  }
+
+  /**
+   * Returns the signer's public key
+   * @returns {Uint8Array} The uncompressed public key
+   */
+  getPublicKey () {
+    return this.#signingKey.publicKey
+  }
+
+  /**
+   * Signs a 32-byte digest
+   * @param {Uint8Array} digest - The digest to sign
+   * @returns {string} The signature (r, s and recovery id) in hex format
+   */
+  signDigest (digest) {
+    return this.#signingKey.sign(digest)
+  }
+}
@@ -16,6 +16,9 @@
 
 import { hmac } from '@noble/hashes/hmac'
 import { sha512 } from '@noble/hashes/sha512'
+import { sha256 } from '@noble/hashes/sha256'
+import { ripemd160 } from '@noble/hashes/ripemd160'
+import { keccak_256 as keccak256 } from '@noble/hashes/sha3'
 import * as secp256k1 from '@noble/secp256k1'
 
 /** Constants for BIP32 key derivation */
@@ -23,9 +26,13 @@ const CONSTANTS = {
   MASTER_SECRET: new TextEncoder().encode('Bitcoin seed'),
   HARDENED_OFFSET: 0x80000000,
   PRIVATE_KEY_SIZE: 32,
-  DERIVATION_DATA_SIZE: 37 // 1 byte prefix + 32 bytes key + 4 bytes index
+  DERIVATION_DATA_SIZE: 37, // 1 byte prefix + 32 bytes key + 4 bytes index
+  XPUB_VERSION: 0x0488b21e,
+  EXTENDED_KEY_SIZE: 78 // 4 bytes version + 1 byte depth + 4 bytes fingerprint + 4 bytes index + 32 bytes chain code + 33 bytes key
 }
 
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
 /**
  * Encodes a 32-bit unsigned integer into a big-endian byte array
  * @param {number} value - The value to encode
@@ -178,3 +185,180 @@ export function derivePrivateKeyBuffer (seed, privateKeyBuffer, hmacOutputBuffer
     chainCode.set(IR)
   }
 }
+
+/**
+ * Encodes a payload in base58 with a 4-byte double sha-256 checksum
+ * @param {Uint8Array} payload - The payload to encode
+ * @returns {string} The encoded payload
+ */
+function encodeBase58Check (payload) {
+  const checksum = sha256(sha256(payload)).subarray(0, 4)
+  const bytes = new Uint8Array([...payload, ...checksum])
+
+  let value = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'))
+  let encoded = ''
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded
+    value /= 58n
+  }
+
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) encoded = '1' + encoded
+
+  return encoded
+}
+
+/**
+ * Decodes a base58 string and verifies its 4-byte double sha-256 checksum
+ * @param {string} encoded - The encoded string
+ * @returns {Uint8Array} The decoded payload
+ * @throws {Error} If the string is not valid base58 or the checksum does not match
+ */
+function decodeBase58Check (encoded) {
+  let value = 0n
+  for (const char of encoded) {
+    const digit = BASE58_ALPHABET.indexOf(char)
+    if (digit < 0) throw new Error('Invalid base58 character')
+    value = value * 58n + BigInt(digit)
+  }
+
+  let hex = value.toString(16)
+  if (hex.length % 2) hex = '0' + hex
+
+  const leadingZeros = encoded.match(/^1*/)[0].length
+  const bytes = new Uint8Array([...new Uint8Array(leadingZeros), ...Buffer.from(value > 0n ? hex : '', 'hex')])
+
+  const payload = bytes.subarray(0, -4)
+  const checksum = sha256(sha256(payload)).subarray(0, 4)
+  if (bytes.length < 4 || !checksum.every((byte, i) => byte === bytes[bytes.length - 4 + i])) {
+    throw new Error('Invalid checksum')
+  }
+
+  return payload
+}
+
+/**
+ * Derives the extended public key (xpub) of a hardened derivation path following BIP32
+ * @param {Uint8Array} seed - The seed to derive from
+ * @param {string} path - The derivation path (e.g., "m/44'/195'/0'")
+ * @returns {string} The extended public key in base58 format
+ * @throws {Error} If the path is invalid
+ */
+export function deriveExtendedPublicKey (seed, path) {
+  const indices = parsePath(path)
+  if (indices.length === 0) {
+    throw new Error('The extended public key of the master key is not supported')
+  }
+
+  const privateKeyBuffer = new Uint8Array(CONSTANTS.PRIVATE_KEY_SIZE)
+  const hmacOutputBuffer = new Uint8Array(64)
+  const derivationDataBuffer = new Uint8Array(CONSTANTS.DERIVATION_DATA_SIZE)
+
+  try {
+    // The fingerprint identifies the parent key: the first 4 bytes of the hash160 of its public key
+    const parentPath = path.split('/').slice(0, -1).join('/')
+    derivePrivateKeyBuffer(seed, privateKeyBuffer, hmacOutputBuffer, derivationDataBuffer, parentPath)
+    const fingerprint = ripemd160(sha256(secp256k1.getPublicKey(privateKeyBuffer, true))).subarray(0, 4)
+
+    // After the derivation, the second half of the hmac output holds the key's chain code
+    derivePrivateKeyBuffer(seed, privateKeyBuffer, hmacOutputBuffer, derivationDataBuffer, path)
+    const chainCode = hmacOutputBuffer.subarray(32)
+    const publicKey = secp256k1.getPublicKey(privateKeyBuffer, true)
+
+    const extendedKey = new Uint8Array(CONSTANTS.EXTENDED_KEY_SIZE)
+    const view = new DataView(extendedKey.buffer)
+    view.setUint32(0, CONSTANTS.XPUB_VERSION)
+    view.setUint8(4, indices.length)
+    extendedKey.set(fingerprint, 5)
+    view.setUint32(9, indices[indices.length - 1])
+    extendedKey.set(chainCode, 13)
+    extendedKey.set(publicKey, 45)
+
+    return encodeBase58Check(extendedKey)
+  } finally {
+    privateKeyBuffer.fill(0)
+    hmacOutputBuffer.fill(0)
+    derivationDataBuffer.fill(0)
+  }
+}
+
+/**
+ * Parses an extended public key (xpub)
+ * @param {string} xpub - The extended public key in base58 format
+ * @returns {{ depth: number, index: number, chainCode: Uint8Array, publicKey: Uint8Array }} The key's components
+ * @throws {Error} If the extended public key is invalid
+ */
+export function parseExtendedPublicKey (xpub) {
+  let extendedKey
+  try {
+    extendedKey = decodeBase58Check(xpub)
+  } catch (error) {
+    throw new Error(`Invalid extended public key: ${error.message}`)
+  }
+
+  const view = new DataView(extendedKey.buffer, extendedKey.byteOffset, extendedKey.byteLength)
+  if (extendedKey.length !== CONSTANTS.EXTENDED_KEY_SIZE || view.getUint32(0) !== CONSTANTS.XPUB_VERSION) {
+    throw new Error('Invalid extended public key: unsupported format')
+  }
+
+  return {
+    depth: view.getUint8(4),
+    index: view.getUint32(9),
+    chainCode: extendedKey.slice(13, 45),
+    publicKey: extendedKey.slice(45)
+  }
+}
+
+/**
+ * Derives the public key of a non-hardened child of an extended public key following BIP32
+ * @param {string} xpub - The extended public key in base58 format
+ * @param {string} path - The derivation path relative to the extended key (e.g., "0/1")
+ * @returns {Uint8Array} The child's uncompressed public key
+ * @throws {Error} If the path contains hardened indices or is invalid
+ */
+export function derivePublicKeyFromExtendedKey (xpub, path) {
+  const { chainCode: parentChainCode, publicKey: parentPublicKey } = parseExtendedPublicKey(xpub)
+
+  const indices = parsePath(`m/${path}`)
+  if (indices.some(index => index >= CONSTANTS.HARDENED_OFFSET)) {
+    throw new Error('Hardened indices cannot be derived from an extended public key')
+  }
+
+  let chainCode = parentChainCode
+  let point = secp256k1.ProjectivePoint.fromHex(parentPublicKey)
+
+  for (const index of indices) {
+    const derivationData = new Uint8Array(CONSTANTS.DERIVATION_DATA_SIZE)
+    derivationData.set(point.toRawBytes(true))
+    derivationData.set(encodeUInt32BE(index), 33)
+
+    const hmacOutput = hmac(sha512, chainCode, derivationData)
+    const IL = hmacOutput.subarray(0, 32)
+
+    // Invalid derivation results are skipped, as in the private derivation
+    if (compareWithCurveOrder(IL) >= 0) continue
+
+    const childPoint = secp256k1.ProjectivePoint.BASE
+      .multiply(BigInt('0x' + Buffer.from(IL).toString('hex')))
+      .add(point)
+    if (childPoint.equals(secp256k1.ProjectivePoint.ZERO)) continue
+
+    point = childPoint
+    chainCode = hmacOutput.slice(32)
+  }
+
+  return point.toRawBytes(false)
+}
+
+/**
+ * Computes the tron address of a public key
+ * @param {Uint8Array} publicKey - The uncompressed public key
+ * @returns {string} The address in hex format, including the 0x41 prefix
+ */
+export function publicKeyToAddressHex (publicKey) {
+  // Remove the prefix byte (0x04) from uncompressed public key
+  const publicKeyNoPrefix = publicKey.slice(1)
+  // Take the last 20 bytes of its keccak-256 hash
+  const address = keccak256(publicKeyNoPrefix).slice(12)
+  // Add the tron prefix (41)
+  return '41' + Buffer.from(address).toString('hex')
+}
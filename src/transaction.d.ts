@@ -0,0 +1,65 @@
+/**
+ * Computes the id of a transaction, which is the sha-256 hash of its raw data.
+ * @param {string} rawDataHex - The transaction's raw data in hex format.
+ * @returns {string} The transaction's id in hex format.
+ */
+export function getTransactionId(rawDataHex: string): string;
+
+/**
+ * Serializes a transaction so that it can be moved between machines.
+ * @param {TronSerializedTransaction} transaction - The transaction.
+ * @param {TronTransactionFormat} [format] - The serialization format (default: "json").
+ * @returns {string} The serialized transaction.
+ */
+export function serializeTransaction(
+  transaction: TronSerializedTransaction,
+  format?: TronTransactionFormat
+): string;
+
+/**
+ * Deserializes a transaction serialized with {@link serializeTransaction}.
+ * @param {string} payload - The serialized transaction.
+ * @returns {TronSerializedTransaction} The transaction.
+ */
+export function deserializeTransaction(
+  payload: string
+): TronSerializedTransaction;
+
+/**
+ * Encodes the memo of a transaction in the hex format of the transaction's 'data' field.
+ * @param {string | Uint8Array} memo - The memo, as a utf-8 string or raw bytes.
+ * @returns {string} The memo in hex format.
+ */
+export function encodeMemo(memo: string | Uint8Array): string;
+
+/**
+ * Decodes the memo of a transaction from its 'data' field.
+ * @param {string} [data] - The transaction's data in hex format.
+ * @returns {string | null} The memo as a utf-8 string, or null if the transaction has none.
+ */
+export function decodeMemo(data?: string): string | null;
+
+export type TronTransactionFormat = "json" | "hex";
+
+export type TronSerializedTransaction = {
+  /**
+   * The transaction's id.
+   */
+  txID: string;
+  /**
+   * The transaction's raw data (only available for the "json" format).
+   */
+  raw_data?: object;
+  /**
+   * The transaction's raw data in hex format.
+   */
+  raw_data_hex: string;
+  /**
+   * The transaction's signatures.
+   */
+  signature?: string[];
+  /**
+   * Whether the addresses in the raw data are in base58 format.
+   */
+  visible?: boolean;
+};
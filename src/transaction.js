@@ -0,0 +1,199 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+import { sha256 } from "@noble/hashes/sha256";
+
+/** @typedef {import('./transaction.d.ts').TronSerializedTransaction} TronSerializedTransaction */
+/** @typedef {import('./transaction.d.ts').TronTransactionFormat} TronTransactionFormat */
+
+// Protobuf keys of the fields of the 'Transaction' message (field number << 3 | wire type 2).
+const RAW_DATA_KEY = 0x0a;
+const SIGNATURE_KEY = 0x12;
+
+/**
+ * Computes the id of a transaction, which is the sha-256 hash of its raw data.
+ *
+ * @param {string} rawDataHex - The transaction's raw data in hex format.
+ * @returns {string} The transaction's id in hex format.
+ */
+export function getTransactionId(rawDataHex) {
+  return Buffer.from(sha256(Buffer.from(rawDataHex, "hex"))).toString("hex");
+}
+
+/**
+ * Serializes a transaction so that it can be moved between machines.
+ *
+ * The "json" format keeps the transaction's decoded raw data, while the "hex" format is the transaction's
+ * raw protobuf encoding, as accepted by the nodes' 'broadcasthex' endpoint.
+ *
+ * @param {TronSerializedTransaction} transaction - The transaction.
+ * @param {TronTransactionFormat} [format] - The serialization format (default: "json").
+ * @returns {string} The serialized transaction.
+ */
+export function serializeTransaction(transaction, format = "json") {
+  if (format === "json") {
+    const {
+      txID,
+      raw_data: rawData,
+      raw_data_hex: rawDataHex,
+      signature,
+      visible,
+    } = transaction;
+
+    return JSON.stringify({
+      visible,
+      txID,
+      raw_data: rawData,
+      raw_data_hex: rawDataHex,
+      signature,
+    });
+  }
+
+  if (format === "hex") {
+    const fields = [
+      encodeField(RAW_DATA_KEY, Buffer.from(transaction.raw_data_hex, "hex")),
+      ...(transaction.signature || []).map((signature) =>
+        encodeField(
+          SIGNATURE_KEY,
+          Buffer.from(signature.replace(/^0x/, ""), "hex")
+        )
+      ),
+    ];
+
+    return Buffer.concat(fields).toString("hex");
+  }
+
+  throw new Error(`Unsupported transaction format: ${format}`);
+}
+
+/**
+ * Deserializes a transaction serialized with {@link serializeTransaction}.
+ *
+ * Transactions deserialized from the "hex" format only carry their raw data in hex format.
+ *
+ * @param {string} payload - The serialized transaction.
+ * @returns {TronSerializedTransaction} The transaction.
+ */
+export function deserializeTransaction(payload) {
+  const trimmedPayload = payload.trim();
+
+  if (trimmedPayload.startsWith("{")) {
+    return JSON.parse(trimmedPayload);
+  }
+
+  if (!/^(0x)?([0-9a-fA-F]{2})+$/.test(trimmedPayload)) {
+    throw new Error("Invalid serialized transaction");
+  }
+
+  const bytes = Buffer.from(trimmedPayload.replace(/^0x/, ""), "hex");
+
+  let rawData = null;
+  const signature = [];
+
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const key = bytes[offset];
+    const [length, lengthSize] = decodeVarint(bytes, offset + 1);
+    const start = offset + 1 + lengthSize;
+
+    if (start + length > bytes.length) {
+      throw new Error("Invalid serialized transaction: truncated data");
+    }
+
+    const value = bytes.subarray(start, start + length);
+
+    if (key === RAW_DATA_KEY) {
+      rawData = value;
+    } else if (key === SIGNATURE_KEY) {
+      signature.push(value.toString("hex"));
+    } else {
+      throw new Error(`Unsupported transaction field: 0x${key.toString(16)}`);
+    }
+
+    offset = start + length;
+  }
+
+  if (!rawData) {
+    throw new Error("Invalid serialized transaction: missing raw data");
+  }
+
+  const rawDataHex = rawData.toString("hex");
+
+  return {
+    txID: getTransactionId(rawDataHex),
+    raw_data_hex: rawDataHex,
+    signature,
+  };
+}
+
+/**
+ * Encodes the memo of a transaction in the hex format of the transaction's 'data' field.
+ *
+ * @param {string | Uint8Array} memo - The memo, as a utf-8 string or raw bytes.
+ * @returns {string} The memo in hex format.
+ * @throws {Error} If the memo is neither a string nor a byte array.
+ */
+export function encodeMemo(memo) {
+  if (typeof memo !== "string" && !(memo instanceof Uint8Array)) {
+    throw new Error("The memo must be a string or a byte array");
+  }
+
+  return Buffer.from(memo).toString("hex");
+}
+
+/**
+ * Decodes the memo of a transaction from its 'data' field.
+ *
+ * @param {string} [data] - The transaction's data in hex format.
+ * @returns {string | null} The memo as a utf-8 string, or null if the transaction has none.
+ */
+export function decodeMemo(data) {
+  return data ? Buffer.from(data, "hex").toString("utf8") : null;
+}
+
+function encodeField(key, value) {
+  return Buffer.concat([Buffer.from([key]), encodeVarint(value.length), value]);
+}
+
+function encodeVarint(value) {
+  const bytes = [];
+
+  while (value > 0x7f) {
+    bytes.push((value & 0x7f) | 0x80);
+    value >>>= 7;
+  }
+  bytes.push(value);
+
+  return Buffer.from(bytes);
+}
+
+function decodeVarint(bytes, offset) {
+  let value = 0;
+  let size = 0;
+
+  for (;;) {
+    if (offset + size >= bytes.length) {
+      throw new Error("Invalid serialized transaction: truncated data");
+    }
+
+    const byte = bytes[offset + size];
+    value += (byte & 0x7f) * 2 ** (7 * size);
+    size++;
+
+    if (!(byte & 0x80)) return [value, size];
+  }
+}
@@ -0,0 +1,29 @@
+import WalletAccountTron, { TronWalletConfig } from "./wallet-account-tron.js";
+
+export default class WalletAccountReadOnlyTron extends WalletAccountTron {
+  /**
+   * Creates a new read-only tron wallet account.
+   *
+   * @param {string} address - The account's address.
+   * @param {TronWalletConfig} [config] - The configuration object.
+   */
+  constructor(address: string, config?: TronWalletConfig);
+
+  /**
+   * Creates the read-only account at a specific index of an extended public key, without any private key.
+   *
+   * @example
+   * // Returns the read-only account with derivation path m/44'/195'/0'/0/1
+   * const xpub = await wallet.getExtendedPublicKey();
+   * const account = WalletAccountReadOnlyTron.fromExtendedPublicKey(xpub, 1);
+   * @param {string} xpub - The account-level extended public key.
+   * @param {number} [index] - The index of the account to derive (default: 0).
+   * @param {TronWalletConfig} [config] - The configuration object.
+   * @returns {WalletAccountReadOnlyTron} The read-only account.
+   */
+  static fromExtendedPublicKey(
+    xpub: string,
+    index?: number,
+    config?: TronWalletConfig
+  ): WalletAccountReadOnlyTron;
+}
@@ -0,0 +1,70 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+import TronWeb from "tronweb";
+import WalletAccountTron, { READ_ONLY_ACCOUNT } from "./wallet-account-tron.js";
+import {
+  derivePublicKeyFromExtendedKey,
+  parseExtendedPublicKey,
+  publicKeyToAddressHex,
+} from "./signer/utils.js";
+
+/** @typedef {import('./wallet-account-tron.js').TronWalletConfig} TronWalletConfig */
+
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * A tron account that only knows its address. It can read balances and history, quote operations and build
+ * unsigned transactions, but all its signing operations throw.
+ */
+export default class WalletAccountReadOnlyTron extends WalletAccountTron {
+  /**
+   * Creates a new read-only tron wallet account.
+   *
+   * @param {string} address - The account's address.
+   * @param {TronWalletConfig} [config] - The configuration object.
+   */
+  constructor(address, config = {}) {
+    super(READ_ONLY_ACCOUNT, config.path, { ...config, address });
+  }
+
+  /**
+   * Creates the read-only account at a specific index of an extended public key, without any private key. The
+   * account has the same address as the one the seed holder gets from {@link WalletManagerTron#getAccount}.
+   *
+   * @example
+   * // Returns the read-only account with derivation path m/44'/195'/0'/0/1
+   * const xpub = await wallet.getExtendedPublicKey();
+   * const account = WalletAccountReadOnlyTron.fromExtendedPublicKey(xpub, 1);
+   * @param {string} xpub - The account-level extended public key (see {@link WalletManagerTron#getExtendedPublicKey}).
+   * @param {number} [index] - The index of the account to derive (default: 0).
+   * @param {TronWalletConfig} [config] - The configuration object.
+   * @returns {WalletAccountReadOnlyTron} The read-only account.
+   */
+  static fromExtendedPublicKey(xpub, index = 0, config = {}) {
+    const publicKey = derivePublicKeyFromExtendedKey(xpub, `0/${index}`);
+    const address = TronWeb.address.fromHex(publicKeyToAddressHex(publicKey));
+
+    // Account-level keys are at depth 3 (m/44'/195'/account')
+    const { depth, index: accountIndex } = parseExtendedPublicKey(xpub);
+    const path =
+      depth === 3 && accountIndex >= HARDENED_OFFSET
+        ? `m/44'/195'/${accountIndex - HARDENED_OFFSET}'/0/${index}`
+        : undefined;
+
+    return new WalletAccountReadOnlyTron(address, { ...config, path });
+  }
+}
@@ -1,3 +1,6 @@
+import { TronSigner } from "./signer/local-signer.js";
+import { TronNetwork, TronTokenInfo } from "./networks.js";
+
 export default class WalletAccountTron {
   /**
    * Creates a new tron wallet account.
@@ -12,6 +15,40 @@ export default class WalletAccountTron {
     config?: TronWalletConfig
   );
 
+  /**
+   * Creates a new tron wallet account backed by a signer. All the account's signatures are produced by the signer.
+   *
+   * @param {TronSigner} signer - The signer holding the account's key.
+   * @param {TronWalletConfig} [config] - The configuration object.
+   */
+  constructor(signer: TronSigner, config?: TronWalletConfig);
+
+  /**
+   * Creates a tron wallet account from a raw private key. The account has no derivation path.
+   *
+   * @param {Uint8Array | string} privateKey - The 32-byte private key, or its hex encoding.
+   * @param {TronWalletConfig} [config] - The configuration object.
+   * @returns {WalletAccountTron} The account.
+   */
+  static fromPrivateKey(
+    privateKey: Uint8Array | string,
+    config?: TronWalletConfig
+  ): WalletAccountTron;
+
+  /**
+   * Creates a tron wallet account from a Web3 Secret Storage (V3 keystore) file.
+   *
+   * @param {Object | string} keystore - The keystore, or its json.
+   * @param {string} password - The keystore's password.
+   * @param {TronWalletConfig} [config] - The configuration object.
+   * @returns {Promise<WalletAccountTron>} The account.
+   */
+  static fromKeystore(
+    keystore: object | string,
+    password: string,
+    config?: TronWalletConfig
+  ): Promise<WalletAccountTron>;
+
   /**
    * The derivation path of this account (see [BIP-44](https://github.com/bitcoin/bips/blob/master/bip-0044.mediawiki)).
    * @type {string}
@@ -30,6 +67,12 @@ export default class WalletAccountTron {
    */
   get keyPair(): KeyPair;
 
+  /**
+   * True if the account only knows its address, and can't sign transactions or messages.
+   * @type {boolean}
+   */
+  get isReadOnly(): boolean;
+
   /**
    * Returns the account's address.
    * @returns {Promise<string>} The account's address.
@@ -67,6 +110,22 @@ export default class WalletAccountTron {
     tx: TronTransaction
   ): Promise<Omit<TronTransactionResult, "hash">>;
 
+  /**
+   * Activates an account, i.e. creates it on the chain. The network burns the account creation fee.
+   * @param {string} address - The address of the account to activate.
+   * @returns {Promise<TronTransactionResult>} The activation's result.
+   */
+  activateAccount(address: string): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of an account's activation.
+   * @param {string} address - The address of the account to activate.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The activation's quotes.
+   */
+  quoteActivateAccount(
+    address: string
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
   /**
    * Transfers a token to another address.
    * @param {TronTransferOptions} options - The transfer's options.
@@ -91,10 +150,407 @@ export default class WalletAccountTron {
 
   /**
    * Returns the balance of the account for a specific token.
-   * @param {string} tokenAddress - The smart contract address of the token.
+   * @param {string} token - The smart contract address or the symbol of the token, or the id of a TRC10 token.
    * @returns {Promise<number>} The token balance.
    */
-  getTokenBalance(tokenAddress: string): Promise<number>;
+  getTokenBalance(token: string): Promise<number>;
+
+  /**
+   * Returns the account balance for a TRC10 token.
+   * @param {string | number} tokenId - The id of the token.
+   * @returns {Promise<number>} The token balance (in base units).
+   */
+  getTrc10Balance(tokenId: string | number): Promise<number>;
+
+  /**
+   * Returns the information of a TRC10 token.
+   * @param {string | number} tokenId - The id of the token.
+   * @returns {Promise<TronTrc10TokenInfo>} The token's information.
+   */
+  getTrc10TokenInfo(tokenId: string | number): Promise<TronTrc10TokenInfo>;
+
+  /**
+   * Transfers a TRC10 token to another address.
+   * @param {TronTrc10TransferOptions} options - The transfer's options.
+   * @returns {Promise<TronTransferResult>} The transfer's result.
+   */
+  transferTrc10(options: TronTrc10TransferOptions): Promise<TronTransferResult>;
+
+  /**
+   * Quotes the costs of a TRC10 transfer.
+   * @param {TronTrc10TransferOptions} options - The transfer's options.
+   * @returns {Promise<Omit<TronTransferResult, "hash">>} The transfer's quotes.
+   */
+  quoteTransferTrc10(
+    options: TronTrc10TransferOptions
+  ): Promise<Omit<TronTransferResult, "hash">>;
+
+  /**
+   * Returns the number of tokens of a TRC721 collection owned by the account.
+   * @param {string} token - The smart contract address of the collection.
+   * @returns {Promise<number>} The number of owned tokens.
+   */
+  getTrc721Balance(token: string): Promise<number>;
+
+  /**
+   * Returns the ids of the tokens of a TRC721 collection owned by the account.
+   * @param {string} token - The smart contract address of the collection.
+   * @returns {Promise<string[]>} The ids of the owned tokens.
+   */
+  getTrc721Tokens(token: string): Promise<string[]>;
+
+  /**
+   * Returns the owner of a TRC721 token.
+   * @param {string} token - The smart contract address of the collection.
+   * @param {string | number} tokenId - The id of the token.
+   * @returns {Promise<string>} The owner's address.
+   */
+  getTrc721Owner(token: string, tokenId: string | number): Promise<string>;
+
+  /**
+   * Returns the metadata uri of a TRC721 token.
+   * @param {string} token - The smart contract address of the collection.
+   * @param {string | number} tokenId - The id of the token.
+   * @returns {Promise<string>} The token's uri.
+   */
+  getTrc721TokenUri(token: string, tokenId: string | number): Promise<string>;
+
+  /**
+   * Transfers a TRC721 token owned by the account to another address.
+   * @param {TronTrc721TransferOptions} options - The transfer's options.
+   * @returns {Promise<TronTransferResult>} The transfer's result.
+   */
+  transferTrc721(
+    options: TronTrc721TransferOptions
+  ): Promise<TronTransferResult>;
+
+  /**
+   * Quotes the costs of a TRC721 transfer, including the energy consumed by the contract call.
+   * @param {TronTrc721TransferOptions} options - The transfer's options.
+   * @returns {Promise<Omit<TronTransferResult, "hash">>} The transfer's quotes.
+   */
+  quoteTransferTrc721(
+    options: TronTrc721TransferOptions
+  ): Promise<Omit<TronTransferResult, "hash">>;
+
+  /**
+   * Stakes TRX to obtain energy or bandwidth (Stake 2.0).
+   * @param {TronStakeOptions} options - The stake's options.
+   * @returns {Promise<TronTransactionResult>} The stake's result.
+   */
+  freezeBalance(options: TronStakeOptions): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of a stake operation.
+   * @param {TronStakeOptions} options - The stake's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The stake's quotes.
+   */
+  quoteFreezeBalance(
+    options: TronStakeOptions
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Unstakes TRX (Stake 2.0).
+   * @param {TronStakeOptions} options - The unstake's options.
+   * @returns {Promise<TronTransactionResult>} The unstake's result.
+   */
+  unfreezeBalance(options: TronStakeOptions): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of an unstake operation.
+   * @param {TronStakeOptions} options - The unstake's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The unstake's quotes.
+   */
+  quoteUnfreezeBalance(
+    options: TronStakeOptions
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Withdraws all the unstaked TRX whose unstaking period is over.
+   * @returns {Promise<TronTransactionResult>} The withdrawal's result.
+   */
+  withdrawExpireUnfreeze(): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of a withdrawal of unstaked TRX.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The withdrawal's quotes.
+   */
+  quoteWithdrawExpireUnfreeze(): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Cancels all the pending unstakes, staking their TRX again.
+   * @returns {Promise<TronTransactionResult>} The cancellation's result.
+   */
+  cancelAllUnfreeze(): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of a cancellation of all the pending unstakes.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The cancellation's quotes.
+   */
+  quoteCancelAllUnfreeze(): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Returns the account's pending unstakes and when each of them becomes withdrawable.
+   * @returns {Promise<TronPendingUnfreeze[]>} The pending unstakes.
+   */
+  getPendingUnfreezes(): Promise<TronPendingUnfreeze[]>;
+
+  /**
+   * Delegates staked resources to another account (Stake 2.0).
+   * @param {TronDelegateOptions} options - The delegation's options.
+   * @returns {Promise<TronTransactionResult>} The delegation's result.
+   */
+  delegateResource(
+    options: TronDelegateOptions
+  ): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of a delegation.
+   * @param {TronDelegateOptions} options - The delegation's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The delegation's quotes.
+   */
+  quoteDelegateResource(
+    options: TronDelegateOptions
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Reclaims resources previously delegated to another account.
+   * @param {TronUndelegateOptions} options - The reclaim's options.
+   * @returns {Promise<TronTransactionResult>} The reclaim's result.
+   */
+  undelegateResource(
+    options: TronUndelegateOptions
+  ): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of a reclaim of delegated resources.
+   * @param {TronUndelegateOptions} options - The reclaim's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The reclaim's quotes.
+   */
+  quoteUndelegateResource(
+    options: TronUndelegateOptions
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Returns the maximum amount of staked TRX whose resources the account can currently delegate.
+   * @param {TronResource} resource - The resource type.
+   * @returns {Promise<number>} The delegatable amount (in sun).
+   */
+  getDelegatableAmount(resource: TronResource): Promise<number>;
+
+  /**
+   * Returns the resources the account has delegated to other accounts.
+   * @returns {Promise<TronDelegation[]>} The outgoing delegations.
+   */
+  getDelegatedResources(): Promise<TronDelegation[]>;
+
+  /**
+   * Returns the resources the account has received from other accounts.
+   * @returns {Promise<TronDelegation[]>} The incoming delegations.
+   */
+  getReceivedResources(): Promise<TronDelegation[]>;
+
+  /**
+   * Votes for super representatives with the account's staked TRX (1 staked TRX = 1 vote).
+   * @param {Record<string, number>} votes - The number of votes for each super representative, by address.
+   * @returns {Promise<TronTransactionResult>} The vote's result.
+   */
+  voteWitnesses(votes: Record<string, number>): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of a vote for super representatives.
+   * @param {Record<string, number>} votes - The number of votes for each super representative, by address.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The vote's quotes.
+   */
+  quoteVoteWitnesses(
+    votes: Record<string, number>
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Returns the account's current votes.
+   * @returns {Promise<TronVote[]>} The votes.
+   */
+  getVotes(): Promise<TronVote[]>;
+
+  /**
+   * Returns the voting rewards the account can currently withdraw.
+   * @returns {Promise<number>} The reward balance (in sun).
+   */
+  getRewardBalance(): Promise<number>;
+
+  /**
+   * Withdraws the account's voting rewards to its balance.
+   * @returns {Promise<TronTransactionResult>} The withdrawal's result.
+   */
+  withdrawRewards(): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of a withdrawal of voting rewards.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The withdrawal's quotes.
+   */
+  quoteWithdrawRewards(): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Updates the account's owner and active permissions, e.g. to turn it into a multi-signature account.
+   * @param {TronPermissionsOptions} options - The new permissions.
+   * @returns {Promise<TronTransactionResult>} The update's result.
+   */
+  updateAccountPermissions(
+    options: TronPermissionsOptions
+  ): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of an update of the account's permissions.
+   * @param {TronPermissionsOptions} options - The new permissions.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The update's quotes.
+   */
+  quoteUpdateAccountPermissions(
+    options: TronPermissionsOptions
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Builds an unsigned transaction that sends TRX, to be signed with {@link WalletAccountTron#signTransaction}.
+   * @param {TronTransaction} tx - The transaction.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  buildSendTransaction(tx: TronTransaction): Promise<object>;
+
+  /**
+   * Builds an unsigned token transfer, to be signed with {@link WalletAccountTron#signTransaction}.
+   * @param {TronTransferOptions} options - The transfer's options.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  buildTransfer(options: TronTransferOptions): Promise<object>;
+
+  /**
+   * Signs a transaction with the account's key, after checking its id against its raw data. Doesn't require a provider,
+   * unless the wallet declares its network.
+   * @param {Object | string} transaction - The unsigned transaction, or its serialized form.
+   * @returns {Promise<Object>} A copy of the transaction including the signature.
+   */
+  signTransaction(transaction: object | string): Promise<object>;
+
+  /**
+   * Signs a transaction under one of its owner's permissions, appending the signature to the ones already on it.
+   * @param {Object | string} transaction - The transaction to sign, or its serialized form.
+   * @param {TronMultiSignOptions} [options] - The signing options.
+   * @returns {Promise<Object>} A copy of the transaction including the new signature.
+   */
+  multiSignTransaction(
+    transaction: object | string,
+    options?: TronMultiSignOptions
+  ): Promise<object>;
+
+  /**
+   * Returns the signature weight a transaction has collected for the permission it's signed under.
+   * @param {Object} transaction - The signed transaction.
+   * @returns {Promise<TronSignWeight>} The transaction's signature weight.
+   */
+  getSignWeight(transaction: object): Promise<TronSignWeight>;
+
+  /**
+   * Broadcasts a signed transaction.
+   * @param {Object | string} transaction - The signed transaction, or its serialized form.
+   * @returns {Promise<{ hash: string }>} The transaction's hash.
+   */
+  broadcastTransaction(transaction: object | string): Promise<{ hash: string }>;
+
+  /**
+   * Returns the receipt of a transaction, or null if the transaction has not been included in a block yet.
+   * @param {string} hash - The transaction's hash.
+   * @returns {Promise<TronTransactionReceipt | null>} The transaction's receipt.
+   */
+  getTransactionReceipt(hash: string): Promise<TronTransactionReceipt | null>;
+
+  /**
+   * Waits for a transaction to be included in a block and to reach the given number of confirmations.
+   * @param {string} hash - The transaction's hash.
+   * @param {TronWaitForTransactionOptions} [options] - The waiting options.
+   * @returns {Promise<TronTransactionReceipt>} The transaction's receipt.
+   */
+  waitForTransaction(
+    hash: string,
+    options?: TronWaitForTransactionOptions
+  ): Promise<TronTransactionReceipt>;
+
+  /**
+   * Returns a page of the account's transactions, most recent first.
+   * @param {TronHistoryOptions} [options] - The history's options.
+   * @returns {Promise<TronHistoryPage>} The page of transactions.
+   */
+  getTransactionHistory(options?: TronHistoryOptions): Promise<TronHistoryPage>;
+
+  /**
+   * Returns a page of the account's transfers of a TRC20 token, most recent first.
+   * @param {string} token - The smart contract address or the symbol of the token.
+   * @param {TronHistoryOptions} [options] - The history's options.
+   * @returns {Promise<TronHistoryPage>} The page of transfers.
+   */
+  getTokenTransferHistory(
+    token: string,
+    options?: TronHistoryOptions
+  ): Promise<TronHistoryPage>;
+
+  /**
+   * Calls a function of a smart contract without sending a transaction, and decodes its return values.
+   * Integers are returned as bigints and addresses in base58 format.
+   * @param {TronReadContractOptions} options - The call's options.
+   * @returns {Promise<any[]>} The decoded return values.
+   */
+  readContract(options: TronReadContractOptions): Promise<any[]>;
+
+  /**
+   * Calls a function of a smart contract in a transaction signed by the account.
+   * @param {TronWriteContractOptions} options - The call's options.
+   * @returns {Promise<TronTransactionResult>} The call's result.
+   */
+  writeContract(
+    options: TronWriteContractOptions
+  ): Promise<TronTransactionResult>;
+
+  /**
+   * Quotes the costs of a smart contract call, including the energy it consumes.
+   * @param {TronWriteContractOptions} options - The call's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The call's quotes.
+   */
+  quoteWriteContract(
+    options: TronWriteContractOptions
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Quotes the total costs of a batch of payments, accounting for the account's resources being shared by them.
+   * @param {TronBatchItem[]} items - The payments.
+   * @param {TronBatchOptions} [options] - The batch's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The batch's quotes.
+   */
+  quoteSendBatch(
+    items: TronBatchItem[],
+    options?: TronBatchOptions
+  ): Promise<Omit<TronTransactionResult, "hash">>;
+
+  /**
+   * Sends a batch of trx and token payments, after checking that the account's balances cover the payments and
+   * their fees. A failed payment doesn't stop the others, and payments whose broadcast's outcome is unknown are
+   * reported with the "unknown" status.
+   * @param {TronBatchItem[]} items - The payments.
+   * @param {TronBatchOptions} [options] - The batch's options.
+   * @returns {Promise<TronBatchResult>} The batch's quoted fee and the result of each payment.
+   */
+  sendBatch(
+    items: TronBatchItem[],
+    options?: TronBatchOptions
+  ): Promise<TronBatchResult>;
+
+  /**
+   * Exports the account's private key to a Web3 Secret Storage (V3 keystore) file.
+   * @param {string} password - The keystore's password.
+   * @param {TronKeystoreOptions} [options] - The keystore's options.
+   * @returns {Promise<Object>} The keystore.
+   */
+  exportKeystore(
+    password: string,
+    options?: TronKeystoreOptions
+  ): Promise<object>;
 
   /**
    * Disposes the wallet account, and erases the private key from the memory.
@@ -105,10 +561,10 @@ export default class WalletAccountTron {
 }
 
 export type KeyPair = {
-  /** The public key. */
-  publicKey: Uint8Array;
-  /** The private key. */
-  privateKey: Uint8Array;
+  /** The public key, or null if the account's signer hasn't returned it yet. */
+  publicKey: Uint8Array | null;
+  /** The private key, or null if it's held by the account's signer. */
+  privateKey: Uint8Array | null;
 };
 
 export type TronTransaction = {
@@ -118,32 +574,527 @@ export type TronTransaction = {
   value: number;
   /** The transaction's data in hex format. */
   data?: string;
+  /** A memo attached to the transaction (e.g. a deposit or payout reference), as a utf-8 string or raw bytes. */
+  memo?: string | Uint8Array;
+};
+
+export type TronResourceCost = {
+  /** The amount of the resource consumed by the transaction. */
+  required: number;
+  /** The amount of the resource available to the account. */
+  available: number;
+  /** The current price of one unit of the resource (in sun). */
+  price: number;
+  /** The cost of the consumed resource if it was paid entirely in TRX (in sun). */
+  cost: number;
+  /** The TRX that will be burned because the account lacks the resource (in sun). */
+  burn: number;
+};
+
+export type TronResourceCosts = {
+  /** The bandwidth consumed by the transaction. */
+  bandwidth: TronResourceCost;
+  /** The energy consumed by the transaction. */
+  energy: TronResourceCost;
 };
 
 export type TronTransactionResult = {
   /** The transaction's hash. */
   hash: string;
-  /** The bandwidth cost in sun (1 TRX = 1,000,000 sun). */
+  /** The TRX burned for bandwidth and energy in sun (1 TRX = 1,000,000 sun). */
   fee: number;
+  /** The fee's breakdown per resource. */
+  resources: TronResourceCosts;
+  /**
+   * The account creation fee burned to activate the recipient's account, included in the fee (in sun). Only set when
+   * the recipient's account is inactive.
+   */
+  activationFee?: number;
 };
 
 export type TronWalletConfig = {
-  /** The rpc url of the provider. */
-  rpcUrl?: string;
+  /**
+   * The network, either the name of a well-known network or a custom network (default: the well-known network of
+   * the rpc url, or "mainnet"). When declared, the node's genesis block is checked against the network's one before
+   * building, signing or broadcasting a transaction.
+   */
+  network?: "mainnet" | "shasta" | "nile" | TronNetwork;
+  /**
+   * The rpc url of the provider, or the urls of several providers by order of preference. Overrides the network's
+   * endpoints.
+   */
+  rpcUrl?: string | string[];
+  /** Additional tokens of the network's registry, by symbol. */
+  tokens?: Record<string, TronTokenInfo>;
+  /** The TronGrid api key, sent in the 'TRON-PRO-API-KEY' header. */
+  apiKey?: string;
+  /** Custom headers sent with every request. */
+  headers?: Record<string, string>;
+  /** The requests' timeout, in milliseconds (default: 30000). */
+  timeout?: number;
+  /** The number of retries of a request failing with a transient error on each provider (default: 2). */
+  retries?: number;
+  /**
+   * The default fee limit of smart contract calls, in sun. In "auto" mode, the limit is set from the call's
+   * estimated energy plus a margin, and calls whose energy can't be estimated are refused (default: "auto").
+   */
+  feeLimit?: number | "auto";
+  /** The maximum fee of a transaction, in sun. Transactions whose quoted fee is higher are not sent. */
+  maxFee?: number;
+  /** How long the chain's fee parameters are cached, in milliseconds (default: 60000). */
+  feeRatesTtl?: number;
 };
 
 export type TronTransferOptions = {
-  /** The address of the token to transfer. */
+  /** The address or the symbol (e.g. "USDT") of the token to transfer, or the id of a TRC10 token. */
   token: string;
   /** The address of the recipient. */
   recipient: string;
   /** The amount of tokens to transfer to the recipient (in base units). */
   amount: number;
+  /** The fee limit of TRC20 transfers, in sun (default: the wallet's fee limit). */
+  feeLimit?: number | "auto";
 };
 
 export type TronTransferResult = {
   /** The hash of the transfer operation. */
   hash: string;
-  /** The bandwidth cost in sun (1 TRX = 1,000,000 sun). */
+  /** The TRX burned for bandwidth and energy in sun (1 TRX = 1,000,000 sun). */
+  fee: number;
+  /** The fee's breakdown per resource. */
+  resources: TronResourceCosts;
+  /**
+   * The account creation fee burned to activate the recipient's account, included in the fee (in sun). Only set when
+   * the recipient's account is inactive.
+   */
+  activationFee?: number;
+};
+
+export type TronResource = "BANDWIDTH" | "ENERGY";
+
+export type TronStakeOptions = {
+  /** The amount of TRX to stake or unstake (in sun). */
+  amount: number;
+  /** The resource the TRX is staked for. */
+  resource: TronResource;
+};
+
+export type TronPendingUnfreeze = {
+  /** The resource the TRX was staked for. */
+  resource: TronResource;
+  /** The amount of unstaked TRX (in sun). */
+  amount: number;
+  /** The time at which the TRX becomes withdrawable (in milliseconds since the epoch). */
+  withdrawableAt: number;
+  /** True if the TRX can already be withdrawn. */
+  withdrawable: boolean;
+};
+
+export type TronDelegateOptions = {
+  /** The address of the account receiving the resources. */
+  receiver: string;
+  /** The amount of staked TRX whose resources are delegated (in sun). */
+  amount: number;
+  /** The resource to delegate. */
+  resource: TronResource;
+  /** If set, the delegation can't be reclaimed for this number of blocks (1 block = 3 seconds). */
+  lockPeriod?: number;
+};
+
+export type TronUndelegateOptions = {
+  /** The address of the account the resources were delegated to. */
+  receiver: string;
+  /** The amount of staked TRX whose resources are reclaimed (in sun). */
+  amount: number;
+  /** The resource to reclaim. */
+  resource: TronResource;
+};
+
+export type TronDelegation = {
+  /** The address of the delegating account. */
+  from: string;
+  /** The address of the receiving account. */
+  to: string;
+  /** The delegated resource. */
+  resource: TronResource;
+  /** The amount of staked TRX whose resources are delegated (in sun). */
+  amount: number;
+  /** The time until which the delegation can't be reclaimed (in milliseconds since the epoch, 0 if not locked). */
+  lockedUntil: number;
+};
+
+export type TronVote = {
+  /** The address of the super representative. */
+  address: string;
+  /** The number of votes cast for the super representative. */
+  votes: number;
+};
+
+export type TronTrc10TransferOptions = {
+  /** The id of the TRC10 token to transfer. */
+  tokenId: string | number;
+  /** The address of the recipient. */
+  recipient: string;
+  /** The amount of tokens to transfer to the recipient (in base units). */
+  amount: number;
+};
+
+export type TronTrc10TokenInfo = {
+  /** The id of the token. */
+  id: string;
+  /** The name of the token. */
+  name: string;
+  /** The symbol of the token. */
+  symbol: string;
+  /** The number of decimals of the token. */
+  decimals: number;
+  /** The total supply of the token (in base units). */
+  totalSupply: number;
+  /** The address of the token's issuer. */
+  owner: string;
+  /** The website of the token. */
+  url: string;
+  /** The description of the token. */
+  description: string;
+};
+
+export type TronTrc721TransferOptions = {
+  /** The smart contract address of the collection. */
+  token: string;
+  /** The address of the recipient. */
+  recipient: string;
+  /** The id of the token to transfer. */
+  tokenId: string | number;
+  /** If false, uses transferFrom instead of safeTransferFrom (default: true). */
+  safe?: boolean;
+  /** The fee limit of the transfer, in sun (default: the wallet's fee limit). */
+  feeLimit?: number | "auto";
+};
+
+export type TronPermissionKey = {
+  /** The address of the key. */
+  address: string;
+  /** The weight of the key's signature. */
+  weight: number;
+};
+
+export type TronPermission = {
+  /** The name of the permission. */
+  name?: string;
+  /** The signature weight required to approve a transaction. */
+  threshold: number;
+  /** The keys allowed to sign under the permission. */
+  keys: TronPermissionKey[];
+  /** The contract types the permission may perform, as a 32-byte hex bitmap (active permissions only). */
+  operations?: string;
+};
+
+export type TronPermissionsOptions = {
+  /** The owner permission. */
+  owner: TronPermission;
+  /** The active permissions. */
+  actives: TronPermission[];
+  /** The witness permission (super representatives only). */
+  witness?: TronPermission;
+};
+
+export type TronMultiSignOptions = {
+  /** The id of the permission to sign under (0 = owner, 2+ = active permissions). */
+  permissionId?: number;
+};
+
+export type TronSignWeight = {
+  /** The id of the permission the transaction is signed under. */
+  permissionId: number;
+  /** The signature weight required by the permission. */
+  threshold: number;
+  /** The signature weight collected so far. */
+  weight: number;
+  /** The addresses of the keys that have signed the transaction. */
+  approvedBy: string[];
+  /** True if the collected weight reaches the threshold. */
+  isComplete: boolean;
+};
+
+export type TronTokenTransferEvent = {
+  /**
+   * The address of the token's contract.
+   */
+  token: string;
+  /**
+   * The sender's address.
+   */
+  from: string;
+  /**
+   * The recipient's address.
+   */
+  to: string;
+  /**
+   * The amount of tokens transferred, in base unit.
+   */
+  amount: number;
+};
+
+export type TronTransactionReceipt = {
+  /**
+   * The transaction's hash.
+   */
+  hash: string;
+  /**
+   * The number of the block that includes the transaction.
+   */
+  blockNumber: number;
+  /**
+   * The block's timestamp, in milliseconds.
+   */
+  timestamp: number;
+  /**
+   * The number of blocks produced since the transaction's block, this included.
+   */
+  confirmations: number;
+  /**
+   * True if the transaction's block has been solidified (i.e., it's irreversible).
+   */
+  solidified: boolean;
+  /**
+   * True if the transaction was executed successfully.
+   */
+  success: boolean;
+  /**
+   * The transaction's execution result (e.g. "SUCCESS", "REVERT", "OUT_OF_ENERGY").
+   */
+  result: string;
+  /**
+   * The reason the transaction failed, if any.
+   */
+  revertReason: string | null;
+  /**
+   * The energy consumed by the transaction.
+   */
+  energyUsed: number;
+  /**
+   * The bandwidth consumed by the transaction.
+   */
+  bandwidthUsed: number;
+  /**
+   * The trx burned by the transaction, in sun.
+   */
   fee: number;
+  /**
+   * The transaction's memo decoded as a utf-8 string, or null if it has none.
+   */
+  memo: string | null;
+  /**
+   * The TRC20 transfers emitted by the transaction.
+   */
+  transfers: TronTokenTransferEvent[];
+};
+
+export type TronWaitForTransactionOptions = {
+  /**
+   * The number of confirmations to wait for (default: 1).
+   */
+  confirmations?: number;
+  /**
+   * The maximum time to wait, in milliseconds (default: 60000).
+   */
+  timeout?: number;
+};
+
+export type TronHistoryOptions = {
+  /**
+   * The maximum number of records per page (default: 20, max: 200).
+   */
+  limit?: number;
+  /**
+   * The cursor returned with the previous page.
+   */
+  cursor?: string;
+  /**
+   * If true, only returns solidified records (default: false).
+   */
+  onlyConfirmed?: boolean;
+  /**
+   * Whether to return incoming records, outgoing records or both (default: "all").
+   */
+  direction?: "all" | "in" | "out";
+};
+
+export type TronHistoryRecord = {
+  /**
+   * The transaction's hash.
+   */
+  hash: string;
+  /**
+   * The transaction's block timestamp, in milliseconds.
+   */
+  timestamp: number;
+  /**
+   * The type of the transaction's contract (e.g. "TransferContract"), or of the token's event.
+   */
+  type: string;
+  /**
+   * The sender's address.
+   */
+  from: string;
+  /**
+   * The recipient's address, or the called contract's address.
+   */
+  to: string | null;
+  /**
+   * The amount transferred, in sun for trx or in base unit for tokens.
+   */
+  amount: number;
+  /**
+   * The token's contract address or TRC10 id, or null for trx.
+   */
+  token: string | null;
+  /**
+   * The transaction's execution result (e.g. "SUCCESS", "REVERT").
+   */
+  status: string;
+  /**
+   * The transaction's memo decoded as a utf-8 string, or null if it has none (always null for token transfers).
+   */
+  memo: string | null;
+};
+
+export type TronHistoryPage = {
+  /**
+   * The page's records.
+   */
+  records: TronHistoryRecord[];
+  /**
+   * The cursor to the next page, or null if this is the last page.
+   */
+  cursor: string | null;
+};
+
+export type TronKeystoreOptions = {
+  /**
+   * The scrypt's cost parameter (default and maximum: 262144).
+   */
+  n?: number;
+};
+
+export type TronReadContractOptions = {
+  /**
+   * The address of the contract.
+   */
+  address: string;
+  /**
+   * The contract's abi. Requires the 'method' option.
+   */
+  abi?: object[];
+  /**
+   * The name or the signature of the function to call, if the 'abi' option is given.
+   */
+  method?: string;
+  /**
+   * The human-readable signature of the function to call, as an alternative to the abi
+   * (e.g. "balanceOf(address) view returns (uint256)").
+   */
+  signature?: string;
+  /**
+   * The function's arguments. Addresses can be given in base58 or hex format.
+   */
+  args?: any[];
+};
+
+export type TronWriteContractOptions = TronReadContractOptions & {
+  /**
+   * The amount of sun sent with the call (default: 0).
+   */
+  callValue?: number;
+  /**
+   * The amount of the TRC10 token given by the 'tokenId' option sent with the call.
+   */
+  tokenValue?: number;
+  /**
+   * The id of the TRC10 token sent with the call.
+   */
+  tokenId?: number;
+  /**
+   * The maximum amount of sun the call can spend on energy (default: the wallet's fee limit).
+   */
+  feeLimit?: number | "auto";
+};
+
+export type TronBatchItem = {
+  /**
+   * The payment's id, unique within the batch (e.g. the payout's reference in the caller's database).
+   */
+  id: string;
+  /**
+   * The address of the recipient.
+   */
+  recipient: string;
+  /**
+   * The amount to pay, in sun for trx or in base unit for tokens.
+   */
+  amount: number;
+  /**
+   * The address or the symbol of the token to pay, or the id of a TRC10 token. Trx is paid if omitted.
+   */
+  token?: string;
+  /**
+   * A memo attached to the payment (trx payments only).
+   */
+  memo?: string | Uint8Array;
+  /**
+   * The fee limit of TRC20 payments, in sun (default: the wallet's fee limit).
+   */
+  feeLimit?: number | "auto";
+};
+
+export type TronBatchOptions = {
+  /**
+   * The maximum number of payments sent at once (default: 5).
+   */
+  concurrency?: number;
+  /**
+   * The ids of the payments already sent by a previous run of the batch, which are skipped.
+   */
+  completed?: string[];
+  /**
+   * Called with each payment's result as soon as it's known, e.g. to persist the completed payments. The callback's
+   * errors are ignored, so that they don't interrupt the payments still being sent.
+   */
+  onResult?: (result: TronBatchItemResult) => void;
+};
+
+export type TronBatchItemResult = {
+  /**
+   * The payment's id.
+   */
+  id: string;
+  /**
+   * "sent" if the payment's transaction was broadcast, "failed" if it couldn't be sent, "unknown" if its broadcast
+   * might have reached the node (the transaction's status must be checked before sending the payment again), or
+   * "skipped" if it was completed by a previous run.
+   */
+  status: "sent" | "failed" | "unknown" | "skipped";
+  /**
+   * The hash of the payment's transaction, or null if it wasn't built.
+   */
+  hash: string | null;
+  /**
+   * The payment's quoted fee in sun, or null if its transaction wasn't built.
+   */
+  fee: number | null;
+  /**
+   * The reason the payment failed, or null.
+   */
+  error: string | null;
+};
+
+export type TronBatchResult = {
+  /**
+   * The quoted fee of the whole batch, in sun.
+   */
+  fee: number;
+  /**
+   * The result of each payment, in the order of the batch's items.
+   */
+  results: TronBatchItemResult[];
 };
@@ -19,62 +19,375 @@ import { getBytesCopy } from "ethers";
 import sodium from "sodium-universal";
 import WalletAccount from "@wdk/wallet";
 import { keccak_256 as keccak256 } from "@noble/hashes/sha3";
-import { CustomSigningKey } from "./signer/custom-signing-key.js";
-import { derivePrivateKeyBuffer } from "./signer/utils.js";
+import { secp256k1 } from "@noble/curves/secp256k1";
+import { LocalSigner } from "./signer/local-signer.js";
+import { encryptKeystore, decryptKeystore } from "./signer/keystore.js";
+import { BROADCAST_OUTCOME_UNKNOWN, createTronWeb } from "./provider.js";
+import ChainParameters from "./chain-parameters.js";
+import { resolveNetwork, resolveTokenAddress } from "./networks.js";
+import {
+  derivePrivateKeyBuffer,
+  publicKeyToAddressHex,
+} from "./signer/utils.js";
+import {
+  getTransactionId,
+  serializeTransaction,
+  deserializeTransaction,
+  encodeMemo,
+  decodeMemo,
+} from "./transaction.js";
 
 /** @typedef {import('./wallet-account-tron.d.ts').TronTransactionResult} TronTransactionResult */
 /** @typedef {import('./wallet-account-tron.d.ts').TronTransaction} TronTransaction */
 /** @typedef {import('./wallet-account-tron.d.ts').TronTransferOptions} TronTransferOptions */
 /** @typedef {import('./wallet-account-tron.d.ts').TronTransferResult} TronTransferResult */
+/** @typedef {import('./wallet-account-tron.d.ts').TronResourceCosts} TronResourceCosts */
+/** @typedef {import('./wallet-account-tron.d.ts').TronResource} TronResource */
+/** @typedef {import('./wallet-account-tron.d.ts').TronStakeOptions} TronStakeOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronPendingUnfreeze} TronPendingUnfreeze */
+/** @typedef {import('./wallet-account-tron.d.ts').TronDelegateOptions} TronDelegateOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronUndelegateOptions} TronUndelegateOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronDelegation} TronDelegation */
+/** @typedef {import('./wallet-account-tron.d.ts').TronVote} TronVote */
+/** @typedef {import('./wallet-account-tron.d.ts').TronTrc10TransferOptions} TronTrc10TransferOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronTrc10TokenInfo} TronTrc10TokenInfo */
+/** @typedef {import('./wallet-account-tron.d.ts').TronTrc721TransferOptions} TronTrc721TransferOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronPermissionsOptions} TronPermissionsOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronMultiSignOptions} TronMultiSignOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronSignWeight} TronSignWeight */
+/** @typedef {import('./wallet-account-tron.d.ts').TronTransactionReceipt} TronTransactionReceipt */
+/** @typedef {import('./wallet-account-tron.d.ts').TronWaitForTransactionOptions} TronWaitForTransactionOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronHistoryOptions} TronHistoryOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronHistoryRecord} TronHistoryRecord */
+/** @typedef {import('./wallet-account-tron.d.ts').TronHistoryPage} TronHistoryPage */
+/** @typedef {import('./wallet-account-tron.d.ts').TronKeystoreOptions} TronKeystoreOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronReadContractOptions} TronReadContractOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronWriteContractOptions} TronWriteContractOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronBatchItem} TronBatchItem */
+/** @typedef {import('./wallet-account-tron.d.ts').TronBatchOptions} TronBatchOptions */
+/** @typedef {import('./wallet-account-tron.d.ts').TronBatchItemResult} TronBatchItemResult */
+/** @typedef {import('./wallet-account-tron.d.ts').TronBatchResult} TronBatchResult */
+/** @typedef {import('./signer/local-signer.d.ts').TronSigner} TronSigner */
+/** @typedef {import('./networks.d.ts').TronNetwork} TronNetwork */
+/** @typedef {import('./networks.d.ts').TronTokenInfo} TronTokenInfo */
 
 /**
  * @typedef {Object} TronWalletConfig
- * @property {string} [rpcUrl] - The rpc url of the provider.
+ * @property {"mainnet" | "shasta" | "nile" | TronNetwork} [network] - The network, either the name of a well-known
+ *   network or a custom network (default: the well-known network of the rpc url, or "mainnet").
+ *   When declared, the node's genesis block is checked against the network's one before building, signing or
+ *   broadcasting a transaction.
+ * @property {string | string[]} [rpcUrl] - The rpc url of the provider, or the urls of several providers by order of
+ *   preference. Overrides the network's endpoints.
+ * @property {Record<string, TronTokenInfo>} [tokens] - Additional tokens of the network's registry, by symbol.
+ * @property {string} [apiKey] - The TronGrid api key, sent in the 'TRON-PRO-API-KEY' header.
+ * @property {Record<string, string>} [headers] - Custom headers sent with every request.
+ * @property {number} [timeout] - The requests' timeout, in milliseconds (default: 30000).
+ * @property {number} [retries] - The number of retries of a request failing with a transient error on each provider
+ *   (default: 2).
+ * @property {number | "auto"} [feeLimit] - The default fee limit of smart contract calls, in sun (default: "auto").
+ * @property {number} [maxFee] - The maximum fee of a transaction, in sun. Transactions quoted above it are not sent.
+ * @property {number} [feeRatesTtl] - How long the chain's fee parameters are cached, in milliseconds (default: 60000).
  */
 
 const BIP_44_TRON_DERIVATION_PATH_PREFIX = "m/44'/195'";
 
+// Bytes a signed transaction occupies on top of its raw data: the 65-byte
+// signature, its protobuf framing and the 64 bytes reserved for the result.
+const TRANSACTION_BANDWIDTH_OVERHEAD = 134;
+
+// The system contracts that create their recipient's account when it doesn't exist yet.
+const ACCOUNT_CREATING_CONTRACTS = new Set([
+  "TransferContract",
+  "TransferAssetContract",
+  "AccountCreateContract",
+]);
+
+const RESOURCE_TYPES = ["BANDWIDTH", "ENERGY"];
+
+// In "auto" mode, the fee limit of a smart contract call covers its estimated energy plus a 20% margin,
+// so that small state changes between the estimate and the execution don't make the call run out of energy.
+// Calls whose energy can't be estimated need an explicit fee limit.
+const AUTO_FEE_LIMIT_MARGIN = 1.2;
+
+const OWNER_PERMISSION_TYPE = 0;
+const WITNESS_PERMISSION_TYPE = 1;
+const ACTIVE_PERMISSION_TYPE = 2;
+
+// Bitmap of the contract types an active permission may perform by default: every system and smart contract
+// operation, Stake 2.0 included, except the update of the account's permissions.
+const DEFAULT_ACTIVE_OPERATIONS =
+  "7fff0fc0023ef30f000000000000000000000000000000000000000000000000";
+
+const DEFAULT_UPDATE_ACCOUNT_PERMISSION_FEE = 100_000_000;
+
+const DEFAULT_BANDWIDTH_PRICE = 1_000;
+const DEFAULT_ENERGY_PRICE = 420;
+
+// A new block is produced every 3 seconds.
+const TRANSACTION_POLLING_INTERVAL = 3_000;
+const DEFAULT_TRANSACTION_TIMEOUT = 60_000;
+
+const DEFAULT_HISTORY_LIMIT = 20;
+
+const DEFAULT_BATCH_CONCURRENCY = 5;
+
+// keccak256("Transfer(address,address,uint256)")
+const TRANSFER_EVENT_TOPIC =
+  "ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+// Selectors of the "Error(string)" and "Panic(uint256)" revert payloads.
+const ERROR_SELECTOR = "08c379a0";
+const PANIC_SELECTOR = "4e487b71";
+
+/**
+ * Checks if a token identifier is a TRC10 token id (e.g. "1002000") rather than a TRC20 contract address.
+ *
+ * @param {string | number} token - The token identifier.
+ * @returns {boolean} True if the identifier is a TRC10 token id.
+ */
+function isTrc10TokenId(token) {
+  return /^\d+$/.test(String(token));
+}
+
+/**
+ * Maps the items of an array with an async function, running at most a given number of calls at once.
+ * @param {any[]} items - The items.
+ * @param {number} concurrency - The maximum number of concurrent calls.
+ * @param {(item: any, index: number) => Promise<any>} fn - The mapping function.
+ * @returns {Promise<any[]>} The results, in the order of the items.
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+
+  return results;
+}
+
+/**
+ * Checks that a fee limit is either "auto" or a positive integer amount of sun.
+ * @param {number | "auto"} feeLimit - The fee limit.
+ * @throws {Error} If the fee limit is invalid.
+ */
+function checkFeeLimit(feeLimit) {
+  if (feeLimit !== "auto" && !(Number.isInteger(feeLimit) && feeLimit > 0)) {
+    throw new Error(`Invalid fee limit: ${feeLimit}`);
+  }
+}
+
+/**
+ * Checks if a value implements the signer interface.
+ *
+ * @param {any} value - The value.
+ * @returns {boolean} True if the value is a signer.
+ */
+function isTronSigner(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    typeof value.getPublicKey === "function" &&
+    typeof value.signDigest === "function"
+  );
+}
+
+// Passed instead of a seed by read-only accounts, which only know their address (see WalletAccountReadOnlyTron).
+export const READ_ONLY_ACCOUNT = Symbol("READ_ONLY_ACCOUNT");
+
+// Passed instead of a seed by accounts imported from a private key (see WalletAccountTron.fromPrivateKey).
+const PRIVATE_KEY_ACCOUNT = Symbol("PRIVATE_KEY_ACCOUNT");
+
+// The configuration key under which a wallet manager passes its tron web instance and chain parameters cache to the
+// accounts it creates, so that they share its connection and fee rates (see WalletManagerTron).
+export const MANAGER_CONNECTION = Symbol("MANAGER_CONNECTION");
+
 export default class WalletAccountTron extends WalletAccount {
-  #signingKey;
+  #signer;
+  #publicKey;
+  #publicKeyPromise;
+  #isReadOnly;
   #path;
+  #address;
   #tronWeb;
+  #chainParameters;
+  #network;
+  #feeLimit;
+  #maxFee;
   #privateKeyBuffer;
   #hmacOutputBuffer;
   #derivationDataBuffer;
+  #isDisposed;
 
   /**
-   * Creates a new tron wallet account.
+   * Creates a new tron wallet account, either derived from a seed or backed by a signer (e.g. a hardware security
+   * module reached through a signing service). All the account's signatures are produced by the signer.
    *
-   * @param {string | Uint8Array} seed - The bip-39 mnemonic.
-   * @param {string} path - The BIP-44 derivation path (e.g. "0'/0/0").
+   * @example
+   * // Creates an account whose key is held by an external signer
+   * const account = new WalletAccountTron(signer, { rpcUrl: "https://api.trongrid.io" });
+   * @param {string | Uint8Array | TronSigner} seed - The bip-39 mnemonic, or the signer holding the account's key.
+   * @param {string | TronWalletConfig} [path] - The BIP-44 derivation path (e.g. "0'/0/0"). Accounts backed by a
+   *   signer take the configuration object in its place.
    * @param {TronWalletConfig} [config] - The configuration object.
    */
   constructor(seed, path, config = {}) {
-    super(seed);
+    const isReadOnly = seed === READ_ONLY_ACCOUNT;
+    const isPrivateKey = seed === PRIVATE_KEY_ACCOUNT;
+    const isSigner = isTronSigner(seed);
 
-    const { rpcUrl } = config;
+    super(isReadOnly || isPrivateKey || isSigner ? undefined : seed);
 
-    this.#tronWeb = new TronWeb({
-      fullHost: rpcUrl || "https://api.trongrid.io",
-    });
+    if (isSigner && typeof path === "object") {
+      config = path;
+      path = undefined;
+    }
+
+    this.#isReadOnly = isReadOnly;
+    this.#isDisposed = false;
+
+    const { feeLimit = "auto", maxFee, feeRatesTtl } = config;
+
+    const { tronWeb, chainParameters } = config[MANAGER_CONNECTION] || {};
+
+    this.#tronWeb = tronWeb || createTronWeb(config);
+    this.#chainParameters =
+      chainParameters || new ChainParameters(this.#tronWeb, feeRatesTtl);
+    this.#network = resolveNetwork(config);
+
+    checkFeeLimit(feeLimit);
+
+    if (maxFee !== undefined && !(maxFee >= 0)) {
+      throw new Error(`Invalid maximum fee: ${maxFee}`);
+    }
+
+    this.#feeLimit = feeLimit;
+    this.#maxFee = maxFee;
+
+    if (isReadOnly) {
+      const { address } = config;
+
+      if (!TronWeb.isAddress(address)) {
+        throw new Error(`Invalid address: ${address}`);
+      }
+
+      this.#path = path;
+      this.#address = this.#tronWeb.address.fromHex(address);
+
+      return;
+    }
+
+    if (isSigner) {
+      this.#signer = seed;
+
+      const publicKey = seed.getPublicKey();
+
+      if (typeof publicKey.then === "function") {
+        this.#publicKeyPromise = Promise.resolve(publicKey).then((key) =>
+          this.#setPublicKey(key)
+        );
+        // Failures are reported to the first caller that needs the address
+        this.#publicKeyPromise.catch(() => {});
+      } else {
+        this.#setPublicKey(publicKey);
+      }
 
-    const fullPath = `${BIP_44_TRON_DERIVATION_PATH_PREFIX}/${path}`;
-    this.#path = fullPath;
+      return;
+    }
 
-    // Generate buffers for HD wallet derivation
     this.#privateKeyBuffer = new Uint8Array(32);
-    this.#hmacOutputBuffer = new Uint8Array(64);
-    this.#derivationDataBuffer = new Uint8Array(37);
 
-    derivePrivateKeyBuffer(
-      seed,
-      this.#privateKeyBuffer,
-      this.#hmacOutputBuffer,
-      this.#derivationDataBuffer,
-      fullPath
-    );
+    if (isPrivateKey) {
+      this.#privateKeyBuffer.set(config.privateKey);
+    } else {
+      const fullPath = `${BIP_44_TRON_DERIVATION_PATH_PREFIX}/${path}`;
+      this.#path = fullPath;
+
+      // Generate buffers for HD wallet derivation
+      this.#hmacOutputBuffer = new Uint8Array(64);
+      this.#derivationDataBuffer = new Uint8Array(37);
+
+      derivePrivateKeyBuffer(
+        seed,
+        this.#privateKeyBuffer,
+        this.#hmacOutputBuffer,
+        this.#derivationDataBuffer,
+        fullPath
+      );
+    }
 
-    this.#signingKey = new CustomSigningKey(this.#privateKeyBuffer);
+    this.#signer = new LocalSigner(this.#privateKeyBuffer);
+    this.#setPublicKey(this.#signer.getPublicKey());
+  }
+
+  /**
+   * Creates a tron wallet account from a raw private key (e.g. exported from TronLink). The account has no
+   * derivation path.
+   *
+   * @param {Uint8Array | string} privateKey - The 32-byte private key, or its hex encoding. Byte arrays are copied,
+   *   so the caller can wipe its own buffer right after.
+   * @param {TronWalletConfig} [config] - The configuration object.
+   * @returns {WalletAccountTron} The account.
+   */
+  static fromPrivateKey(privateKey, config = {}) {
+    const privateKeyBuffer =
+      typeof privateKey === "string"
+        ? Buffer.from(privateKey.replace(/^0x/, ""), "hex")
+        : new Uint8Array(privateKey);
+
+    try {
+      if (
+        privateKeyBuffer.length !== 32 ||
+        !secp256k1.utils.isValidPrivateKey(privateKeyBuffer)
+      ) {
+        throw new Error("Invalid private key");
+      }
+
+      return new WalletAccountTron(PRIVATE_KEY_ACCOUNT, undefined, {
+        ...config,
+        privateKey: privateKeyBuffer,
+      });
+    } finally {
+      sodium.sodium_memzero(privateKeyBuffer);
+    }
+  }
+
+  /**
+   * Creates a tron wallet account from a Web3 Secret Storage (V3 keystore) file.
+   *
+   * @param {Object | string} keystore - The keystore, or its json.
+   * @param {string} password - The keystore's password.
+   * @param {TronWalletConfig} [config] - The configuration object.
+   * @returns {Promise<WalletAccountTron>} The account.
+   */
+  static async fromKeystore(keystore, password, config = {}) {
+    const privateKeyBuffer = new Uint8Array(32);
+
+    try {
+      await decryptKeystore(keystore, password, privateKeyBuffer);
+
+      return WalletAccountTron.fromPrivateKey(privateKeyBuffer, config);
+    } finally {
+      sodium.sodium_memzero(privateKeyBuffer);
+    }
+  }
+
+  /**
+   * True if the account only knows its address, and can't sign transactions or messages.
+   *
+   * @type {boolean}
+   */
+  get isReadOnly() {
+    return this.#isReadOnly;
   }
 
   /**
@@ -83,7 +396,7 @@ export default class WalletAccountTron extends WalletAccount {
    * @type {number}
    */
   get index() {
-    return parseInt(this.#path.split("/").pop());
+    return this.#path ? parseInt(this.#path.split("/").pop()) : undefined;
   }
 
   /**
@@ -101,9 +414,11 @@ export default class WalletAccountTron extends WalletAccount {
    * @type {KeyPair}
    */
   get keyPair() {
+    this.#getSigner();
+
     return {
-      privateKey: this.#privateKeyBuffer,
-      publicKey: getBytesCopy(this.#signingKey.publicKey),
+      privateKey: this.#privateKeyBuffer || null,
+      publicKey: this.#publicKey ? getBytesCopy(this.#publicKey) : null,
     };
   }
 
@@ -113,17 +428,151 @@ export default class WalletAccountTron extends WalletAccount {
    * @type {string}
    */
   get address() {
-    const pubKey = this.#signingKey.publicKey;
-    // Remove the prefix byte (0x04) from uncompressed public key
-    const pubKeyNoPrefix = pubKey.slice(1);
-    // Compute keccak-256 hash
-    const hash = keccak256(pubKeyNoPrefix);
-    // Take last 20 bytes
-    const tronAddress = hash.slice(12);
-    // Convert to hex with Tron prefix (41)
-    const tronAddressHex = "41" + Buffer.from(tronAddress).toString("hex");
-    // Convert to base58
-    return this.#tronWeb.address.fromHex(tronAddressHex);
+    if (!this.#address) {
+      throw new Error(
+        "The account's signer hasn't returned its public key yet, use getAddress() instead"
+      );
+    }
+
+    return this.#address;
+  }
+
+  /**
+   * Sets the account's public key, and the address derived from it.
+   * @private
+   * @param {Uint8Array} publicKey - The public key, compressed or uncompressed.
+   */
+  #setPublicKey(publicKey) {
+    this.#publicKey =
+      secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+    this.#address = this.#getAddressFromPublicKey(this.#publicKey);
+  }
+
+  /**
+   * Returns the address of a public key.
+   * @private
+   * @param {Uint8Array} pubKey - The uncompressed public key.
+   * @returns {string} The address in base58 format.
+   */
+  #getAddressFromPublicKey(pubKey) {
+    return this.#tronWeb.address.fromHex(publicKeyToAddressHex(pubKey));
+  }
+
+  /**
+   * Returns the account's signer.
+   * @private
+   * @returns {TronSigner} The signer.
+   */
+  #getSigner() {
+    if (this.#isDisposed) {
+      throw new Error("The account has been disposed");
+    }
+
+    if (this.isReadOnly) {
+      throw new Error(
+        "The account is read-only: it can't sign transactions or messages"
+      );
+    }
+
+    return this.#signer;
+  }
+
+  /**
+   * Signs a digest with the account's signer, and checks that the signature matches the account's public key.
+   * @private
+   * @param {Uint8Array | string} digest - The 32-byte digest, or its hex encoding.
+   * @returns {Promise<string>} The signature (r, s and recovery id) in hex format.
+   */
+  async #signDigest(digest) {
+    const signer = this.#getSigner();
+
+    const digestBytes =
+      typeof digest === "string"
+        ? Buffer.from(digest.replace(/^0x/, ""), "hex")
+        : digest;
+
+    await this.getAddress();
+
+    const signature = await signer.signDigest(new Uint8Array(digestBytes));
+    const signatureBytes =
+      typeof signature === "string"
+        ? Buffer.from(signature.replace(/^0x/, ""), "hex")
+        : signature;
+
+    const recoveredPublicKey = this.#recoverPublicKey(
+      digestBytes,
+      signatureBytes
+    );
+
+    if (!recoveredPublicKey) {
+      throw new Error("The signer returned an invalid signature");
+    }
+
+    if (
+      Buffer.compare(
+        Buffer.from(recoveredPublicKey),
+        Buffer.from(this.#publicKey)
+      ) !== 0
+    ) {
+      throw new Error(
+        "The signer's signature doesn't match the account's public key"
+      );
+    }
+
+    const recovery =
+      signatureBytes[64] >= 27 ? signatureBytes[64] - 27 : signatureBytes[64];
+
+    return (
+      "0x" +
+      Buffer.from(signatureBytes.subarray(0, 64)).toString("hex") +
+      (recovery ? "1c" : "1b")
+    );
+  }
+
+  /**
+   * Recovers the public key of a digest's signer.
+   * @private
+   * @param {Uint8Array} digest - The 32-byte digest.
+   * @param {Uint8Array} signature - The signature (r, s and recovery id).
+   * @returns {Uint8Array | null} The uncompressed public key, or null if the signature is invalid.
+   */
+  #recoverPublicKey(digest, signature) {
+    if (!signature || signature.length !== 65) {
+      return null;
+    }
+
+    const recovery = signature[64] >= 27 ? signature[64] - 27 : signature[64];
+
+    try {
+      return secp256k1.Signature.fromCompact(signature.subarray(0, 64))
+        .addRecoveryBit(recovery)
+        .recoverPublicKey(digest)
+        .toRawBytes(false);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Exports the account's private key to a Web3 Secret Storage (V3 keystore) file.
+   *
+   * @param {string} password - The keystore's password.
+   * @param {TronKeystoreOptions} [options] - The keystore's options.
+   * @returns {Promise<Object>} The keystore.
+   */
+  async exportKeystore(password, options = {}) {
+    this.#getSigner();
+
+    if (!this.#privateKeyBuffer) {
+      throw new Error(
+        "The account's private key is held by its signer and can't be exported"
+      );
+    }
+
+    // Keystore files store the address in the 20-byte hex format shared with ethereum tools
+    const address = this.#tronWeb.address.toHex(this.#address).slice(2);
+
+    return encryptKeystore(this.#privateKeyBuffer, password, address, options);
   }
 
   /**
@@ -139,19 +588,225 @@ export default class WalletAccountTron extends WalletAccount {
   }
 
   /**
-   * Calculates transaction cost based on bandwidth consumption.
+   * Checks that the node is connected to the network declared in the wallet's configuration, if any. The provider
+   * checks each of its endpoints once, before their first request, and again after a failure.
    * @private
-   * @param {string} rawDataHex - The raw transaction data in hex format
-   * @returns {Promise<number>} The transaction cost in sun (1 TRX = 1,000,000 sun)
+   * @throws {Error} If the node is connected to another network.
+   */
+  async #checkNetwork() {
+    if (!this.#network.genesisBlockId) {
+      return;
+    }
+
+    await this.#tronWeb.fullNode.checkNetwork();
+  }
+
+  /**
+   * Returns the smart contract address of a TRC20 token, looking up token symbols (e.g. "USDT") in the registry of
+   * the account's network.
+   * @private
+   * @param {string} token - The smart contract address or the symbol of the token.
+   * @returns {string} The smart contract address.
+   */
+  #resolveToken(token) {
+    return resolveTokenAddress(this.#network, token);
+  }
+
+  /**
+   * Returns the chain's current parameters.
+   * @private
+   * @returns {Promise<Record<string, number>>} The parameters' values, by key (e.g. "getEnergyFee").
+   */
+  async #getChainParameters() {
+    return this.#chainParameters.get();
+  }
+
+  /**
+   * Returns the chain's current bandwidth and energy prices.
+   * @private
+   * @returns {Promise<{ bandwidthPrice: number, energyPrice: number }>} The prices in sun per unit.
+   */
+  async #getResourcePrices() {
+    const {
+      getTransactionFee = DEFAULT_BANDWIDTH_PRICE,
+      getEnergyFee = DEFAULT_ENERGY_PRICE,
+    } = await this.#getChainParameters();
+
+    return { bandwidthPrice: getTransactionFee, energyPrice: getEnergyFee };
+  }
+
+  /**
+   * Returns the fee the network burns for the memo of a transaction.
+   * @private
+   * @param {Object} transaction - The transaction.
+   * @returns {Promise<number>} The memo fee in sun, or 0 if the transaction has no memo.
+   */
+  async #getMemoFee(transaction) {
+    if (!transaction.raw_data.data) {
+      return 0;
+    }
+
+    const { getMemoFee = 0 } = await this.#getChainParameters();
+
+    return getMemoFee;
+  }
+
+  /**
+   * Estimates the energy consumed by a smart contract call.
+   * Uses the node's energy estimation and falls back to a constant-call simulation
+   * when the node does not support it.
+   * @private
+   * @param {string} contractAddress - The address of the contract.
+   * @param {string} functionSelector - The function's signature (e.g. "transfer(address,uint256)").
+   * @param {Object[]} parameter - The function's parameters.
+   * @param {Object} [options] - The call's options (e.g. callValue).
+   * @returns {Promise<number>} The energy required by the call.
    */
-  async #calculateTransactionCost(rawDataHex) {
+  async #estimateEnergy(
+    contractAddress,
+    functionSelector,
+    parameter,
+    options = {}
+  ) {
     const from = await this.getAddress();
-    const resources = await this.#tronWeb.trx.getAccountResources(from);
-    const txSizeBytes = rawDataHex.length / 2;
-    const freeBandwidth = Number(resources.freeNetRemaining) || 0;
-    const bandwidthConsumption = txSizeBytes * 2;
-    const missingBandwidth = Math.max(bandwidthConsumption - freeBandwidth, 0);
-    return missingBandwidth * 1_000; // 1 TRX per 1000 bandwidth units
+
+    try {
+      const { energy_required: energyRequired } =
+        await this.#tronWeb.transactionBuilder.estimateEnergy(
+          contractAddress,
+          functionSelector,
+          { ...options },
+          parameter,
+          from
+        );
+
+      return Number(energyRequired) || 0;
+    } catch (_) {
+      const result =
+        await this.#tronWeb.transactionBuilder.triggerConstantContract(
+          contractAddress,
+          functionSelector,
+          { ...options },
+          parameter,
+          from
+        );
+
+      if (result.result && result.result.result === false) {
+        throw new Error(
+          `Contract call simulation failed: ${JSON.stringify(result.result)}`
+        );
+      }
+
+      return Number(result.energy_used) || 0;
+    }
+  }
+
+  /**
+   * Returns the account's bandwidth and energy left for the day.
+   * @private
+   * @returns {Promise<{ stakedBandwidth: number, freeBandwidth: number, energy: number }>} The available resources.
+   */
+  async #getAvailableResources() {
+    const resources = await this.#tronWeb.trx.getAccountResources(
+      await this.getAddress()
+    );
+
+    const available = (limit, used) =>
+      Math.max((Number(limit) || 0) - (Number(used) || 0), 0);
+
+    return {
+      stakedBandwidth: available(resources.NetLimit, resources.NetUsed),
+      freeBandwidth: available(resources.freeNetLimit, resources.freeNetUsed),
+      energy: available(resources.EnergyLimit, resources.EnergyUsed),
+    };
+  }
+
+  /**
+   * Calculates transaction cost based on bandwidth and energy consumption.
+   * Bandwidth is paid from staked or free bandwidth if either covers the whole transaction, otherwise
+   * it is burned in full; missing energy is burned at the current energy price.
+   * Transactions activating an account can only use staked bandwidth, and burn the account creation fee instead.
+   * @private
+   * @param {string} rawDataHex - The raw transaction data in hex format
+   * @param {number} [energy] - The energy consumed by the transaction (default: 0).
+   * @param {boolean} [activatesAccount] - True if the transaction activates an account (default: false).
+   * @returns {Promise<{ fee: number, resources: TronResourceCosts }>} The TRX burned by the transaction in sun
+   *   (1 TRX = 1,000,000 sun) and its breakdown per resource.
+   */
+  async #calculateTransactionCost(
+    rawDataHex,
+    energy = 0,
+    activatesAccount = false
+  ) {
+    const [
+      { stakedBandwidth, freeBandwidth, energy: availableEnergy },
+      { bandwidthPrice, energyPrice },
+      { getCreateAccountFee = 0 },
+    ] = await Promise.all([
+      this.#getAvailableResources(),
+      this.#getResourcePrices(),
+      this.#getChainParameters(),
+    ]);
+
+    const bandwidth = rawDataHex.length / 2 + TRANSACTION_BANDWIDTH_OVERHEAD;
+    const availableBandwidth = activatesAccount
+      ? stakedBandwidth
+      : Math.max(stakedBandwidth, freeBandwidth);
+    const bandwidthCost = activatesAccount
+      ? getCreateAccountFee
+      : bandwidth * bandwidthPrice;
+    const bandwidthBurn = bandwidth <= availableBandwidth ? 0 : bandwidthCost;
+
+    const energyBurn = Math.max(energy - availableEnergy, 0) * energyPrice;
+
+    return {
+      fee: bandwidthBurn + energyBurn,
+      resources: {
+        bandwidth: {
+          required: bandwidth,
+          available: availableBandwidth,
+          price: bandwidthPrice,
+          cost: bandwidthCost,
+          burn: bandwidthBurn,
+        },
+        energy: {
+          required: energy,
+          available: availableEnergy,
+          price: energyPrice,
+          cost: energy * energyPrice,
+          burn: energyBurn,
+        },
+      },
+    };
+  }
+
+  /**
+   * Checks if an account is active, i.e. if it has been created on the chain.
+   * @private
+   * @param {string} address - The account's address.
+   * @returns {Promise<boolean>} True if the account is active.
+   */
+  async #isAccountActive(address) {
+    const account = await this.#tronWeb.trx.getAccount(address);
+
+    return Object.keys(account || {}).length > 0;
+  }
+
+  /**
+   * Checks if a transaction activates its recipient's account. Trx and TRC10 transfers to inactive addresses create
+   * their accounts, like account creation contracts.
+   * @private
+   * @param {Object} transaction - The unsigned transaction.
+   * @returns {Promise<boolean>} True if the transaction activates an account.
+   */
+  async #activatesAccount(transaction) {
+    const [{ type, parameter }] = transaction.raw_data.contract;
+
+    const recipient = ACCOUNT_CREATING_CONTRACTS.has(type)
+      ? parameter.value.to_address || parameter.value.account_address
+      : undefined;
+
+    return recipient ? !(await this.#isAccountActive(recipient)) : false;
   }
 
   /**
@@ -160,6 +815,10 @@ export default class WalletAccountTron extends WalletAccount {
    * @returns {Promise<string>} The account's address.
    */
   async getAddress() {
+    if (!this.#address) {
+      await this.#publicKeyPromise;
+    }
+
     return this.address;
   }
 
@@ -184,7 +843,7 @@ export default class WalletAccountTron extends WalletAccount {
     // Hash the prefixed message
     const messageHash = keccak256(prefixedMessage);
 
-    const signature = this.#signingKey.sign(messageHash);
+    const signature = await this.#signDigest(messageHash);
 
     return signature;
   }
@@ -198,12 +857,14 @@ export default class WalletAccountTron extends WalletAccount {
    * @returns {Promise<string>} The message's signature.
    */
   async signTypedData(Permit712MessageDomain, Permit712MessageTypes, message) {
+    this.#getSigner();
+
     const messageDigest = this.#tronWeb.utils._TypedDataEncoder.hash(
       Permit712MessageDomain,
       Permit712MessageTypes,
       message
     );
-    return this.#signingKey.sign(messageDigest.slice(2));
+    return this.#signDigest(messageDigest);
   }
 
   /**
@@ -227,41 +888,26 @@ export default class WalletAccountTron extends WalletAccount {
    * @returns {Promise<TronTransactionResult>} The send transaction's result.
    */
   async sendTransaction(tx) {
+    this.#getSigner();
     this.#checkProviderConnection();
 
     try {
-      const { to, value } = tx;
-      const from = await this.getAddress();
-
       // Create the transaction
-      const transaction = await this.#tronWeb.transactionBuilder.sendTrx(
-        to,
-        value,
-        from
-      );
+      const transaction = await this.buildSendTransaction(tx);
 
       // Calculate fee before sending
-      const fee = await this.#calculateTransactionCost(
-        transaction.raw_data_hex
+      const quote = await this.#quoteBuiltTransaction(
+        transaction,
+        await this.#getMemoFee(transaction)
       );
 
-      // Sign using our custom wallet's signTransaction method
-      const signedTransaction = await this.#signTransaction(transaction);
-
-      // Broadcast the transaction
-      const result = await this.#tronWeb.trx.sendRawTransaction(
-        signedTransaction
+      // Sign and broadcast the transaction
+      const hash = await this.#signAndBroadcastTransaction(
+        transaction,
+        quote.fee
       );
 
-      if (!result || !result.result) {
-        throw new Error(
-          result
-            ? result.code || JSON.stringify(result)
-            : "Empty response from network"
-        );
-      }
-
-      return { hash: result.txid, fee };
+      return { ...quote, hash };
     } catch (error) {
       throw new Error(
         `Failed to send transaction: ${error.message || JSON.stringify(error)}`
@@ -271,6 +917,8 @@ export default class WalletAccountTron extends WalletAccount {
 
   /**
    * Quotes a transaction.
+   * The quote includes the bandwidth taken by the transaction's memo, and the network's memo fee. When the recipient's
+   * account is inactive, it also includes the costs of its activation (see {@link WalletAccountTron#activateAccount}).
    *
    * @param {TronTransaction} tx - The transaction to quote.
    * @returns {Promise<Omit<TronTransactionResult, "hash">>} The transaction's quotes.
@@ -278,97 +926,106 @@ export default class WalletAccountTron extends WalletAccount {
   async quoteSendTransaction(tx) {
     this.#checkProviderConnection();
 
-    const { to, value } = tx;
-    const from = await this.getAddress();
+    const transaction = await this.buildSendTransaction(tx);
 
-    const transaction = await this.#tronWeb.transactionBuilder.sendTrx(
-      to,
-      value,
-      from
+    return this.#quoteBuiltTransaction(
+      transaction,
+      await this.#getMemoFee(transaction)
     );
-
-    const fee = await this.#calculateTransactionCost(transaction.raw_data_hex);
-    return { hash: null, fee };
   }
 
   /**
-   * Transfers a token to another address.
-   * @param {TronTransferOptions} options - The transfer's options.
-   * @returns {Promise<TronTransferResult>} The transfer's result.
+   * Activates an account, i.e. creates it on the chain, so that it can use resources and receive TRC20 tokens as a
+   * regular account. The network burns the account creation fee, and the transaction's bandwidth is paid with
+   * staked bandwidth or burned at the account creation price.
+   *
+   * @param {string} address - The address of the account to activate.
+   * @returns {Promise<TronTransactionResult>} The activation's result.
    */
-  async transfer(options) {
+  async activateAccount(address) {
+    this.#getSigner();
     this.#checkProviderConnection();
 
-    const { recipient, token, amount } = options;
-    const from = await this.getAddress();
-    const hexFrom = this.#tronWeb.address.toHex(from);
-    const hexRecipient = this.#tronWeb.address.toHex(recipient);
+    const transaction = await this.#buildActivateAccountTransaction(address);
+    return this.#sendBuiltTransaction(transaction);
+  }
 
-    // Estimate fee before sending
-    const { fee } = await this.quoteTransfer(options);
+  /**
+   * Quotes the costs of an account's activation.
+   *
+   * @param {string} address - The address of the account to activate.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The activation's quotes.
+   */
+  async quoteActivateAccount(address) {
+    this.#checkProviderConnection();
 
-    // Build the unsigned transaction
-    const parameter = [
-      { type: "address", value: hexRecipient },
-      { type: "uint256", value: amount },
-    ];
-    const txResult =
-      await this.#tronWeb.transactionBuilder.triggerSmartContract(
-        token,
-        "transfer(address,uint256)",
-        { feeLimit: 1000000000, callValue: 0 },
-        parameter,
-        hexFrom
-      );
-    const unsignedTx = txResult.transaction;
+    const transaction = await this.#buildActivateAccountTransaction(address);
+    return this.#quoteBuiltTransaction(transaction);
+  }
 
-    // Sign the transaction
-    const signature = await this.#signingKey.sign(unsignedTx.txID);
-    unsignedTx.signature = [signature];
+  /**
+   * Transfers a token to another address.
+   * TRC10 tokens are transferred when the token is a numeric token id rather than a contract address. Well-known
+   * TRC20 tokens can be given by symbol (e.g. "USDT").
+   * @param {TronTransferOptions} options - The transfer's options.
+   * @returns {Promise<TronTransferResult>} The transfer's result.
+   */
+  async transfer(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
 
-    // Broadcast the transaction
-    const result = await this.#tronWeb.trx.sendRawTransaction(unsignedTx);
+    const { recipient, token, amount, feeLimit } = options;
 
-    if (!result || !result.result) {
-      throw new Error(
-        result
-          ? result.code || JSON.stringify(result)
-          : "Empty response from network"
-      );
+    if (isTrc10TokenId(token)) {
+      return this.transferTrc10({ recipient, tokenId: token, amount });
     }
 
-    return { hash: result.txid, fee };
+    const hexRecipient = this.#tronWeb.address.toHex(recipient);
+
+    // Build the unsigned transaction and estimate its fee before sending
+    const { transaction, fee, resources } = await this.#buildContractCall(
+      this.#resolveToken(token),
+      "transfer(address,uint256)",
+      [
+        { type: "address", value: hexRecipient },
+        { type: "uint256", value: amount },
+      ],
+      { feeLimit }
+    );
+
+    // Sign and broadcast the transaction
+    const hash = await this.#signAndBroadcastTransaction(transaction, fee);
+
+    return { hash, fee, resources };
   }
 
   /**
    * Quotes the costs of a transfer operation.
+   * The quote includes the energy consumed by the token's transfer call. The call is simulated for the actual
+   * recipient, so the energy includes the storage of a new balance when the recipient holds none of the token yet.
    * @param {TronTransferOptions} options - The transfer's options.
    * @returns {Promise<Omit<TronTransferResult, "hash">>} The transfer's quotes.
    */
   async quoteTransfer(options) {
     this.#checkProviderConnection();
 
-    const { recipient, token, amount } = options;
-    const from = await this.getAddress();
-    const parameter = [
-      { type: "address", value: recipient },
-      { type: "uint256", value: amount },
-    ];
+    const { recipient, token, amount, feeLimit } = options;
 
-    const transaction =
-      await this.#tronWeb.transactionBuilder.triggerSmartContract(
-        token,
-        "transfer(address,uint256)",
-        { feeLimit: 1000000000, callValue: 0 },
-        parameter,
-        from
-      );
+    if (isTrc10TokenId(token)) {
+      return this.quoteTransferTrc10({ recipient, tokenId: token, amount });
+    }
 
-    const fee = await this.#calculateTransactionCost(
-      transaction.transaction.raw_data_hex
+    const { fee, resources } = await this.#buildContractCall(
+      this.#resolveToken(token),
+      "transfer(address,uint256)",
+      [
+        { type: "address", value: recipient },
+        { type: "uint256", value: amount },
+      ],
+      { feeLimit }
     );
 
-    return { hash: null, fee };
+    return { hash: null, fee, resources };
   }
 
   /**
@@ -386,14 +1043,21 @@ export default class WalletAccountTron extends WalletAccount {
   /**
    * Returns the account balance for a specific token.
    * Uses low-level contract interaction to ensure compatibility with all TRC20 tokens.
+   * TRC10 balances are returned when the token is a numeric token id rather than a contract address.
    *
-   * @param {string} tokenAddress - The smart contract address of the token.
+   * @param {string} token - The smart contract address or the symbol of the token, or the id of a TRC10 token.
    * @returns {Promise<number>} The token balance.
    * @throws {Error} If the contract interaction fails or returns invalid data.
    */
-  async getTokenBalance(tokenAddress) {
+  async getTokenBalance(token) {
     this.#checkProviderConnection();
 
+    if (isTrc10TokenId(token)) {
+      return this.getTrc10Balance(token);
+    }
+
+    const tokenAddress = this.#resolveToken(token);
+
     try {
       const contract = await this.#tronWeb.contract().at(tokenAddress);
       if (!contract) {
@@ -430,40 +1094,2200 @@ export default class WalletAccountTron extends WalletAccount {
     }
   }
 
-  async #signTransaction(transaction) {
-    if (transaction.raw_data) {
-      // This is a regular TRX transfer
-      const signature = await this.#signingKey.sign(transaction.txID);
-      transaction.signature = [signature];
-      return transaction;
+  /**
+   * Returns the account balance for a TRC10 token.
+   *
+   * @param {string | number} tokenId - The id of the token.
+   * @returns {Promise<number>} The token balance (in base units).
+   */
+  async getTrc10Balance(tokenId) {
+    this.#checkProviderConnection();
+
+    const account = await this.#tronWeb.trx.getAccount(await this.getAddress());
+
+    const asset = (account.assetV2 || []).find(
+      ({ key }) => key === String(tokenId)
+    );
+
+    return asset ? Number(asset.value) : 0;
+  }
+
+  /**
+   * Returns the information of a TRC10 token.
+   *
+   * @param {string | number} tokenId - The id of the token.
+   * @returns {Promise<TronTrc10TokenInfo>} The token's information.
+   */
+  async getTrc10TokenInfo(tokenId) {
+    this.#checkProviderConnection();
+
+    const token = await this.#tronWeb.trx.getTokenByID(String(tokenId));
+
+    return {
+      id: String(token.id),
+      name: token.name,
+      symbol: token.abbr,
+      decimals: Number(token.precision) || 0,
+      totalSupply: Number(token.total_supply),
+      owner: this.#tronWeb.address.fromHex(token.owner_address),
+      url: token.url,
+      description: token.description,
+    };
+  }
+
+  /**
+   * Transfers a TRC10 token to another address.
+   *
+   * @param {TronTrc10TransferOptions} options - The transfer's options.
+   * @returns {Promise<TronTransferResult>} The transfer's result.
+   */
+  async transferTrc10(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildTrc10TransferTransaction(options);
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of a TRC10 transfer.
+   *
+   * @param {TronTrc10TransferOptions} options - The transfer's options.
+   * @returns {Promise<Omit<TronTransferResult, "hash">>} The transfer's quotes.
+   */
+  async quoteTransferTrc10(options) {
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildTrc10TransferTransaction(options);
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Returns the number of tokens of a TRC721 collection owned by the account.
+   *
+   * @param {string} token - The smart contract address of the collection.
+   * @returns {Promise<number>} The number of owned tokens.
+   */
+  async getTrc721Balance(token) {
+    this.#checkProviderConnection();
+
+    const [balance] = await this.#callConstantFunction(
+      token,
+      "balanceOf(address)",
+      [{ type: "address", value: await this.getAddress() }],
+      ["uint256"]
+    );
+
+    return Number(balance.toString());
+  }
+
+  /**
+   * Returns the ids of the tokens of a TRC721 collection owned by the account.
+   * The collection must implement the enumerable extension (tokenOfOwnerByIndex).
+   *
+   * @param {string} token - The smart contract address of the collection.
+   * @returns {Promise<string[]>} The ids of the owned tokens.
+   */
+  async getTrc721Tokens(token) {
+    const address = await this.getAddress();
+    const balance = await this.getTrc721Balance(token);
+
+    const tokenIds = [];
+
+    for (let index = 0; index < balance; index++) {
+      const [tokenId] = await this.#callConstantFunction(
+        token,
+        "tokenOfOwnerByIndex(address,uint256)",
+        [
+          { type: "address", value: address },
+          { type: "uint256", value: index },
+        ],
+        ["uint256"]
+      );
+
+      tokenIds.push(tokenId.toString());
     }
 
-    // This is a smart contract call
-    const rawTx = await this.#tronWeb.transactionBuilder.triggerSmartContract(
-      transaction.to,
-      transaction.functionSelector,
-      transaction.options,
-      transaction.parameters,
-      transaction.issuerAddress
+    return tokenIds;
+  }
+
+  /**
+   * Returns the owner of a TRC721 token.
+   *
+   * @param {string} token - The smart contract address of the collection.
+   * @param {string | number} tokenId - The id of the token.
+   * @returns {Promise<string>} The owner's address.
+   */
+  async getTrc721Owner(token, tokenId) {
+    this.#checkProviderConnection();
+
+    const [owner] = await this.#callConstantFunction(
+      token,
+      "ownerOf(uint256)",
+      [{ type: "uint256", value: tokenId }],
+      ["address"]
     );
 
-    const signature = await this.#signingKey.sign(rawTx);
-    transaction.signature = [signature];
-    return transaction;
+    return this.#tronWeb.address.fromHex(owner);
   }
 
   /**
-   * Disposes the wallet account, and erases the private key from the memory.
+   * Returns the metadata uri of a TRC721 token.
+   *
+   * @param {string} token - The smart contract address of the collection.
+   * @param {string | number} tokenId - The id of the token.
+   * @returns {Promise<string>} The token's uri.
    */
-  dispose() {
-    sodium.sodium_memzero(this.#privateKeyBuffer);
-    sodium.sodium_memzero(this.#hmacOutputBuffer);
-    sodium.sodium_memzero(this.#derivationDataBuffer);
+  async getTrc721TokenUri(token, tokenId) {
+    this.#checkProviderConnection();
+
+    const [uri] = await this.#callConstantFunction(
+      token,
+      "tokenURI(uint256)",
+      [{ type: "uint256", value: tokenId }],
+      ["string"]
+    );
+
+    return uri;
+  }
+
+  /**
+   * Transfers a TRC721 token owned by the account to another address.
+   * Uses safeTransferFrom unless the 'safe' option is false.
+   *
+   * @param {TronTrc721TransferOptions} options - The transfer's options.
+   * @returns {Promise<TronTransferResult>} The transfer's result.
+   */
+  async transferTrc721(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const { transaction, fee, resources } =
+      await this.#buildTrc721TransferTransaction(options);
+
+    const hash = await this.#signAndBroadcastTransaction(transaction, fee);
+
+    return { hash, fee, resources };
+  }
+
+  /**
+   * Quotes the costs of a TRC721 transfer, including the energy consumed by the contract call.
+   *
+   * @param {TronTrc721TransferOptions} options - The transfer's options.
+   * @returns {Promise<Omit<TronTransferResult, "hash">>} The transfer's quotes.
+   */
+  async quoteTransferTrc721(options) {
+    this.#checkProviderConnection();
+
+    const { fee, resources } = await this.#buildTrc721TransferTransaction(
+      options
+    );
+
+    return { hash: null, fee, resources };
+  }
+
+  /**
+   * Stakes TRX to obtain energy or bandwidth (Stake 2.0).
+   *
+   * @param {TronStakeOptions} options - The stake's options.
+   * @returns {Promise<TronTransactionResult>} The stake's result.
+   */
+  async freezeBalance(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildFreezeBalanceTransaction(options);
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of a stake operation.
+   *
+   * @param {TronStakeOptions} options - The stake's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The stake's quotes.
+   */
+  async quoteFreezeBalance(options) {
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildFreezeBalanceTransaction(options);
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Unstakes TRX (Stake 2.0). The unstaked amount becomes withdrawable once the unstaking period is over
+   * (see {@link WalletAccountTron#getPendingUnfreezes}).
+   *
+   * @param {TronStakeOptions} options - The unstake's options.
+   * @returns {Promise<TronTransactionResult>} The unstake's result.
+   */
+  async unfreezeBalance(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildUnfreezeBalanceTransaction(options);
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of an unstake operation.
+   *
+   * @param {TronStakeOptions} options - The unstake's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The unstake's quotes.
+   */
+  async quoteUnfreezeBalance(options) {
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildUnfreezeBalanceTransaction(options);
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Withdraws all the unstaked TRX whose unstaking period is over.
+   *
+   * @returns {Promise<TronTransactionResult>} The withdrawal's result.
+   */
+  async withdrawExpireUnfreeze() {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction =
+      await this.#tronWeb.transactionBuilder.withdrawExpireUnfreeze(
+        await this.getAddress()
+      );
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of a withdrawal of unstaked TRX.
+   *
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The withdrawal's quotes.
+   */
+  async quoteWithdrawExpireUnfreeze() {
+    this.#checkProviderConnection();
+
+    const transaction =
+      await this.#tronWeb.transactionBuilder.withdrawExpireUnfreeze(
+        await this.getAddress()
+      );
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Cancels all the pending unstakes, staking their TRX again. Unstaked TRX that is already withdrawable
+   * is withdrawn instead.
+   *
+   * @returns {Promise<TronTransactionResult>} The cancellation's result.
+   */
+  async cancelAllUnfreeze() {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction =
+      await this.#tronWeb.transactionBuilder.cancelUnfreezeBalanceV2(
+        await this.getAddress()
+      );
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of a cancellation of all the pending unstakes.
+   *
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The cancellation's quotes.
+   */
+  async quoteCancelAllUnfreeze() {
+    this.#checkProviderConnection();
+
+    const transaction =
+      await this.#tronWeb.transactionBuilder.cancelUnfreezeBalanceV2(
+        await this.getAddress()
+      );
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Returns the account's pending unstakes and when each of them becomes withdrawable.
+   *
+   * @returns {Promise<TronPendingUnfreeze[]>} The pending unstakes.
+   */
+  async getPendingUnfreezes() {
+    this.#checkProviderConnection();
+
+    const account = await this.#tronWeb.trx.getAccount(await this.getAddress());
+    const now = Date.now();
+
+    return (account.unfrozenV2 || []).map((entry) => ({
+      resource: entry.type || "BANDWIDTH",
+      amount: Number(entry.unfreeze_amount) || 0,
+      withdrawableAt: Number(entry.unfreeze_expire_time),
+      withdrawable: Number(entry.unfreeze_expire_time) <= now,
+    }));
+  }
+
+  /**
+   * Delegates staked resources to another account (Stake 2.0).
+   *
+   * @param {TronDelegateOptions} options - The delegation's options.
+   * @returns {Promise<TronTransactionResult>} The delegation's result.
+   */
+  async delegateResource(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildDelegateResourceTransaction(options);
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of a delegation.
+   *
+   * @param {TronDelegateOptions} options - The delegation's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The delegation's quotes.
+   */
+  async quoteDelegateResource(options) {
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildDelegateResourceTransaction(options);
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Reclaims resources previously delegated to another account. Locked delegations can only be reclaimed
+   * once their lock period is over.
+   *
+   * @param {TronUndelegateOptions} options - The reclaim's options.
+   * @returns {Promise<TronTransactionResult>} The reclaim's result.
+   */
+  async undelegateResource(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildUndelegateResourceTransaction(options);
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of a reclaim of delegated resources.
+   *
+   * @param {TronUndelegateOptions} options - The reclaim's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The reclaim's quotes.
+   */
+  async quoteUndelegateResource(options) {
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildUndelegateResourceTransaction(options);
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Returns the maximum amount of staked TRX whose resources the account can currently delegate.
+   *
+   * @param {TronResource} resource - The resource type.
+   * @returns {Promise<number>} The delegatable amount (in sun).
+   */
+  async getDelegatableAmount(resource) {
+    this.#checkProviderConnection();
+    this.#checkResource(resource);
+
+    const { max_size: maxSize } =
+      await this.#tronWeb.trx.getCanDelegatedMaxSize(
+        await this.getAddress(),
+        resource,
+        { confirmed: false }
+      );
+
+    return Number(maxSize) || 0;
+  }
+
+  /**
+   * Returns the resources the account has delegated to other accounts.
+   *
+   * @returns {Promise<TronDelegation[]>} The outgoing delegations.
+   */
+  async getDelegatedResources() {
+    this.#checkProviderConnection();
+
+    const address = await this.getAddress();
+    const { toAccounts = [] } =
+      await this.#tronWeb.trx.getDelegatedResourceAccountIndexV2(address, {
+        confirmed: false,
+      });
+
+    const delegations = await Promise.all(
+      toAccounts.map((to) => this.#getDelegations(address, to))
+    );
+
+    return delegations.flat();
+  }
+
+  /**
+   * Returns the resources the account has received from other accounts.
+   *
+   * @returns {Promise<TronDelegation[]>} The incoming delegations.
+   */
+  async getReceivedResources() {
+    this.#checkProviderConnection();
+
+    const address = await this.getAddress();
+    const { fromAccounts = [] } =
+      await this.#tronWeb.trx.getDelegatedResourceAccountIndexV2(address, {
+        confirmed: false,
+      });
+
+    const delegations = await Promise.all(
+      fromAccounts.map((from) => this.#getDelegations(from, address))
+    );
+
+    return delegations.flat();
+  }
+
+  /**
+   * Returns the delegations from an account to another, one entry per delegated resource.
+   * @private
+   * @param {string} from - The delegating account's address.
+   * @param {string} to - The receiving account's address.
+   * @returns {Promise<TronDelegation[]>} The delegations.
+   */
+  async #getDelegations(from, to) {
+    const { delegatedResource = [] } =
+      await this.#tronWeb.trx.getDelegatedResourceV2(from, to, {
+        confirmed: false,
+      });
+
+    const delegations = [];
+
+    for (const entry of delegatedResource) {
+      const base = {
+        from: this.#tronWeb.address.fromHex(entry.from),
+        to: this.#tronWeb.address.fromHex(entry.to),
+      };
+
+      if (entry.frozen_balance_for_bandwidth) {
+        delegations.push({
+          ...base,
+          resource: "BANDWIDTH",
+          amount: Number(entry.frozen_balance_for_bandwidth),
+          lockedUntil: Number(entry.expire_time_for_bandwidth) || 0,
+        });
+      }
+
+      if (entry.frozen_balance_for_energy) {
+        delegations.push({
+          ...base,
+          resource: "ENERGY",
+          amount: Number(entry.frozen_balance_for_energy),
+          lockedUntil: Number(entry.expire_time_for_energy) || 0,
+        });
+      }
+    }
+
+    return delegations;
+  }
+
+  /**
+   * Votes for super representatives with the account's staked TRX (1 staked TRX = 1 vote). The new votes
+   * replace all the previous votes of the account.
+   *
+   * @example
+   * // Casts 100 votes for a super representative
+   * const [sr] = await wallet.getSuperRepresentatives();
+   * await account.voteWitnesses({ [sr.address]: 100 });
+   * @param {Record<string, number>} votes - The number of votes for each super representative, by address.
+   * @returns {Promise<TronTransactionResult>} The vote's result.
+   */
+  async voteWitnesses(votes) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildVoteTransaction(votes);
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of a vote for super representatives.
+   *
+   * @param {Record<string, number>} votes - The number of votes for each super representative, by address.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The vote's quotes.
+   */
+  async quoteVoteWitnesses(votes) {
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildVoteTransaction(votes);
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Returns the account's current votes.
+   *
+   * @returns {Promise<TronVote[]>} The votes.
+   */
+  async getVotes() {
+    this.#checkProviderConnection();
+
+    const account = await this.#tronWeb.trx.getAccount(await this.getAddress());
+
+    return (account.votes || []).map((vote) => ({
+      address: this.#tronWeb.address.fromHex(vote.vote_address),
+      votes: Number(vote.vote_count),
+    }));
+  }
+
+  /**
+   * Returns the voting rewards the account can currently withdraw.
+   *
+   * @returns {Promise<number>} The reward balance (in sun).
+   */
+  async getRewardBalance() {
+    this.#checkProviderConnection();
+
+    const reward = await this.#tronWeb.trx.getReward(await this.getAddress());
+    return Number(reward) || 0;
+  }
+
+  /**
+   * Withdraws the account's voting rewards to its balance. Rewards can be withdrawn once every 24 hours.
+   *
+   * @returns {Promise<TronTransactionResult>} The withdrawal's result.
+   */
+  async withdrawRewards() {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction =
+      await this.#tronWeb.transactionBuilder.withdrawBlockRewards(
+        await this.getAddress()
+      );
+    return this.#sendBuiltTransaction(transaction);
+  }
+
+  /**
+   * Quotes the costs of a withdrawal of voting rewards.
+   *
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The withdrawal's quotes.
+   */
+  async quoteWithdrawRewards() {
+    this.#checkProviderConnection();
+
+    const transaction =
+      await this.#tronWeb.transactionBuilder.withdrawBlockRewards(
+        await this.getAddress()
+      );
+    return this.#quoteBuiltTransaction(transaction);
+  }
+
+  /**
+   * Updates the account's owner and active permissions, e.g. to turn it into a multi-signature account.
+   * The network charges a fixed fee for the update on top of the bandwidth cost.
+   *
+   * @example
+   * // Requires 2 of 3 keys to approve any operation
+   * await account.updateAccountPermissions({
+   *   owner: { threshold: 2, keys: [{ address: a, weight: 1 }, { address: b, weight: 1 }, { address: c, weight: 1 }] },
+   *   actives: [{ name: "active", threshold: 2, keys: [{ address: a, weight: 1 }, { address: b, weight: 1 }, { address: c, weight: 1 }] }]
+   * });
+   * @param {TronPermissionsOptions} options - The new permissions.
+   * @returns {Promise<TronTransactionResult>} The update's result.
+   */
+  async updateAccountPermissions(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildUpdatePermissionsTransaction(options);
+    const {
+      getUpdateAccountPermissionFee = DEFAULT_UPDATE_ACCOUNT_PERMISSION_FEE,
+    } = await this.#getChainParameters();
+
+    return this.#sendBuiltTransaction(
+      transaction,
+      getUpdateAccountPermissionFee
+    );
+  }
+
+  /**
+   * Quotes the costs of an update of the account's permissions.
+   *
+   * @param {TronPermissionsOptions} options - The new permissions.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The update's quotes.
+   */
+  async quoteUpdateAccountPermissions(options) {
+    this.#checkProviderConnection();
+
+    const transaction = await this.#buildUpdatePermissionsTransaction(options);
+    const {
+      getUpdateAccountPermissionFee = DEFAULT_UPDATE_ACCOUNT_PERMISSION_FEE,
+    } = await this.#getChainParameters();
+
+    return this.#quoteBuiltTransaction(
+      transaction,
+      getUpdateAccountPermissionFee
+    );
+  }
+
+  /**
+   * Builds an unsigned transaction that sends TRX, to be signed with {@link WalletAccountTron#signTransaction}
+   * (e.g. on an offline machine).
+   *
+   * @param {TronTransaction} tx - The transaction.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async buildSendTransaction(tx) {
+    this.#checkProviderConnection();
+
+    const { to, value, memo } = tx;
+
+    // Invalid memos are rejected before any request to the node
+    const data = memo !== undefined && memo !== null ? encodeMemo(memo) : "";
+
+    await this.#checkNetwork();
+
+    const transaction = await this.#tronWeb.transactionBuilder.sendTrx(
+      to,
+      value,
+      await this.getAddress()
+    );
+
+    return data ? this.#setTransactionData(transaction, data) : transaction;
+  }
+
+  /**
+   * Builds an unsigned token transfer, to be signed with {@link WalletAccountTron#signTransaction}
+   * (e.g. on an offline machine).
+   *
+   * @param {TronTransferOptions} options - The transfer's options.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async buildTransfer(options) {
+    this.#checkProviderConnection();
+    await this.#checkNetwork();
+
+    const { recipient, token, amount, feeLimit } = options;
+
+    if (isTrc10TokenId(token)) {
+      return this.#buildTrc10TransferTransaction({
+        recipient,
+        tokenId: token,
+        amount,
+      });
+    }
+
+    const { transaction } = await this.#buildContractCall(
+      this.#resolveToken(token),
+      "transfer(address,uint256)",
+      [
+        { type: "address", value: this.#tronWeb.address.toHex(recipient) },
+        { type: "uint256", value: amount },
+      ],
+      { feeLimit }
+    );
+
+    return transaction;
+  }
+
+  /**
+   * Signs a transaction with the account's key. Works without a provider, so it can run on an offline machine,
+   * unless the wallet declares its network: the node's network is then checked before signing.
+   * The transaction's id is checked against its raw data before signing.
+   *
+   * @param {Object | string} transaction - The unsigned transaction, or its serialized form (see {@link serializeTransaction}).
+   * @returns {Promise<Object>} A copy of the transaction including the signature.
+   */
+  async signTransaction(transaction) {
+    this.#getSigner();
+
+    if (typeof transaction === "string") {
+      transaction = deserializeTransaction(transaction);
+    }
+
+    this.#verifyTransaction(transaction);
+
+    await this.#checkNetwork();
+
+    const signature = await this.#signDigest(transaction.txID);
+
+    return { ...structuredClone(transaction), signature: [signature] };
+  }
+
+  /**
+   * Signs a transaction under one of its owner's permissions, appending the signature to the ones already on
+   * it. Accounts holding the permission's keys can co-sign the same transaction, even in different processes,
+   * until its weight reaches the permission's threshold (see {@link WalletAccountTron#getSignWeight}).
+   *
+   * @param {Object | string} transaction - The transaction to sign, or its serialized form (see {@link serializeTransaction}).
+   * @param {TronMultiSignOptions} [options] - The signing options.
+   * @returns {Promise<Object>} A copy of the transaction including the new signature.
+   */
+  async multiSignTransaction(transaction, options = {}) {
+    const { permissionId } = options;
+
+    this.#getSigner();
+
+    if (typeof transaction === "string") {
+      transaction = deserializeTransaction(transaction);
+    }
+
+    this.#verifyTransaction(transaction);
+
+    await this.#checkNetwork();
+
+    let signableTransaction = structuredClone(transaction);
+    const signatures = signableTransaction.signature || [];
+
+    const currentPermissionId = signableTransaction.raw_data
+      ? signableTransaction.raw_data.contract[0].Permission_id || 0
+      : undefined;
+
+    if (permissionId !== undefined && currentPermissionId !== permissionId) {
+      if (signatures.length > 0) {
+        throw new Error(
+          "The permission of a transaction can't be changed after it has been signed"
+        );
+      }
+
+      if (!signableTransaction.raw_data) {
+        throw new Error(
+          "The permission of a transaction can only be set when its raw data is available in json format"
+        );
+      }
+
+      signableTransaction = this.#setTransactionPermission(
+        signableTransaction,
+        permissionId
+      );
+    }
+
+    // Signatures aren't deterministic for every signer, so the existing ones are compared by their signer's key
+    const digest = Buffer.from(
+      signableTransaction.txID.replace(/^0x/, ""),
+      "hex"
+    );
+
+    await this.getAddress();
+
+    const isSigned = signatures.some((signature) => {
+      const publicKey = this.#recoverPublicKey(
+        digest,
+        Buffer.from(signature.replace(/^0x/, ""), "hex")
+      );
+
+      return (
+        publicKey !== null &&
+        Buffer.from(publicKey).equals(Buffer.from(this.#publicKey))
+      );
+    });
+
+    if (isSigned) {
+      throw new Error(
+        "The transaction has already been signed by this account"
+      );
+    }
+
+    const signature = await this.#signDigest(signableTransaction.txID);
+
+    signableTransaction.signature = [...signatures, signature];
+    return signableTransaction;
+  }
+
+  /**
+   * Returns the signature weight a transaction has collected for the permission it's signed under.
+   *
+   * @param {Object} transaction - The signed transaction.
+   * @returns {Promise<TronSignWeight>} The transaction's signature weight.
+   */
+  async getSignWeight(transaction) {
+    this.#checkProviderConnection();
+
+    const result = await this.#tronWeb.trx.getSignWeight(
+      structuredClone(transaction)
+    );
+
+    if (result.result && result.result.code === "PERMISSION_ERROR") {
+      throw new Error(result.result.message);
+    }
+
+    const threshold = Number(result.permission.threshold);
+    const weight = Number(result.current_weight) || 0;
+
+    return {
+      permissionId: Number(result.permission.id) || 0,
+      threshold,
+      weight,
+      approvedBy: (result.approved_list || []).map((address) =>
+        this.#tronWeb.address.fromHex(address)
+      ),
+      isComplete: weight >= threshold,
+    };
+  }
+
+  /**
+   * Broadcasts a signed transaction.
+   *
+   * @param {Object | string} transaction - The signed transaction, or its serialized form (see {@link serializeTransaction}).
+   * @returns {Promise<{ hash: string }>} The transaction's hash.
+   */
+  async broadcastTransaction(transaction) {
+    this.#checkProviderConnection();
+    await this.#checkNetwork();
+
+    if (typeof transaction === "string") {
+      transaction = deserializeTransaction(transaction);
+    }
+
+    let result;
+
+    // Transactions deserialized from protobuf have no json raw data to broadcast
+    if (transaction.raw_data) {
+      result = await this.#tronWeb.trx.sendRawTransaction(transaction);
+    } else {
+      result = await this.#tronWeb.trx.sendHexTransaction(
+        serializeTransaction(transaction, "hex")
+      );
+    }
+
+    if (!result || !result.result) {
+      throw new Error(
+        result
+          ? result.code || JSON.stringify(result)
+          : "Empty response from network"
+      );
+    }
+
+    return { hash: result.txid || transaction.txID };
+  }
+
+  /**
+   * Returns the receipt of a transaction, or null if the transaction has not been included in a block yet.
+   *
+   * @param {string} hash - The transaction's hash.
+   * @returns {Promise<TronTransactionReceipt | null>} The transaction's receipt.
+   */
+  async getTransactionReceipt(hash) {
+    this.#checkProviderConnection();
+
+    const info = await this.#tronWeb.trx.getUnconfirmedTransactionInfo(hash);
+
+    if (!info || !info.id) {
+      return null;
+    }
+
+    const [currentBlock, solidifiedBlock, transaction] = await Promise.all([
+      this.#tronWeb.trx.getCurrentBlock(),
+      this.#tronWeb.trx.getConfirmedCurrentBlock(),
+      this.#tronWeb.trx.getTransaction(hash),
+    ]);
+
+    const blockNumber = Number(info.blockNumber);
+    const receipt = info.receipt || {};
+    const result =
+      receipt.result || (info.result === "FAILED" ? "FAILED" : "SUCCESS");
+
+    // Burned bandwidth isn't reported in bytes, but as the trx paid for it
+    let bandwidthUsed = Number(receipt.net_usage) || 0;
+    if (!bandwidthUsed && receipt.net_fee) {
+      const { bandwidthPrice } = await this.#getResourcePrices();
+      bandwidthUsed = Math.round(Number(receipt.net_fee) / bandwidthPrice);
+    }
+
+    return {
+      hash: info.id,
+      blockNumber,
+      timestamp: Number(info.blockTimeStamp),
+      confirmations:
+        currentBlock.block_header.raw_data.number - blockNumber + 1,
+      solidified: blockNumber <= solidifiedBlock.block_header.raw_data.number,
+      success: result === "SUCCESS",
+      result,
+      revertReason:
+        result === "SUCCESS" ? null : this.#decodeRevertReason(info),
+      energyUsed: Number(receipt.energy_usage_total) || 0,
+      bandwidthUsed,
+      fee: Number(info.fee) || 0,
+      memo: decodeMemo(transaction.raw_data.data),
+      transfers: (info.log || [])
+        .filter(
+          ({ topics }) =>
+            topics && topics.length === 3 && topics[0] === TRANSFER_EVENT_TOPIC
+        )
+        .map(({ address, topics, data }) => ({
+          token: this.#tronWeb.address.fromHex("41" + address),
+          from: this.#tronWeb.address.fromHex("41" + topics[1].slice(24)),
+          to: this.#tronWeb.address.fromHex("41" + topics[2].slice(24)),
+          amount: Number(BigInt("0x" + (data || "0"))),
+        })),
+    };
+  }
+
+  /**
+   * Waits for a transaction to be included in a block and to reach the given number of confirmations.
+   * The returned receipt should be checked for the transaction's success, as failed transactions are
+   * included in blocks too.
+   *
+   * @param {string} hash - The transaction's hash.
+   * @param {TronWaitForTransactionOptions} [options] - The waiting options.
+   * @returns {Promise<TronTransactionReceipt>} The transaction's receipt.
+   */
+  async waitForTransaction(hash, options = {}) {
+    const { confirmations = 1, timeout = DEFAULT_TRANSACTION_TIMEOUT } =
+      options;
+
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const receipt = await this.getTransactionReceipt(hash);
+
+      if (receipt && receipt.confirmations >= confirmations) {
+        return receipt;
+      }
+
+      if (Date.now() + TRANSACTION_POLLING_INTERVAL > deadline) {
+        throw new Error(`Timed out waiting for transaction ${hash}`);
+      }
+
+      await new Promise((resolve) =>
+        setTimeout(resolve, TRANSACTION_POLLING_INTERVAL)
+      );
+    }
+  }
+
+  /**
+   * Returns a page of the account's transactions, most recent first.
+   *
+   * @param {TronHistoryOptions} [options] - The history's options.
+   * @returns {Promise<TronHistoryPage>} The page of transactions.
+   */
+  async getTransactionHistory(options = {}) {
+    this.#checkProviderConnection();
+
+    const address = await this.getAddress();
+
+    const { data, cursor } = await this.#getHistoryPage(
+      `v1/accounts/${address}/transactions`,
+      options,
+      { search_internal: false }
+    );
+
+    const records = data.map((transaction) => {
+      const [contract] = transaction.raw_data.contract;
+      const { value } = contract.parameter;
+      const [ret] = transaction.ret || [];
+      const to = value.to_address || value.contract_address;
+
+      return {
+        hash: transaction.txID,
+        timestamp: transaction.block_timestamp,
+        type: contract.type,
+        from: this.#tronWeb.address.fromHex(value.owner_address),
+        to: to ? this.#tronWeb.address.fromHex(to) : null,
+        amount: Number(value.amount || value.call_value) || 0,
+        token:
+          contract.type === "TransferAssetContract" ? value.asset_name : null,
+        status: (ret && ret.contractRet) || "SUCCESS",
+        memo: decodeMemo(transaction.raw_data.data),
+      };
+    });
+
+    return { records, cursor };
+  }
+
+  /**
+   * Returns a page of the account's transfers of a TRC20 token, most recent first.
+   *
+   * @param {string} token - The smart contract address or the symbol of the token.
+   * @param {TronHistoryOptions} [options] - The history's options.
+   * @returns {Promise<TronHistoryPage>} The page of transfers.
+   */
+  async getTokenTransferHistory(token, options = {}) {
+    this.#checkProviderConnection();
+
+    const address = await this.getAddress();
+    const tokenAddress = this.#resolveToken(token);
+
+    const { data, cursor } = await this.#getHistoryPage(
+      `v1/accounts/${address}/transactions/trc20`,
+      options,
+      { contract_address: tokenAddress }
+    );
+
+    // Only successful transfers emit the events this endpoint is built on
+    const records = data.map((transfer) => ({
+      hash: transfer.transaction_id,
+      timestamp: transfer.block_timestamp,
+      type: transfer.type,
+      from: transfer.from,
+      to: transfer.to,
+      amount: Number(transfer.value) || 0,
+      token: transfer.token_info ? transfer.token_info.address : tokenAddress,
+      status: "SUCCESS",
+      // The endpoint doesn't return the transactions' raw data
+      memo: null,
+    }));
+
+    return { records, cursor };
+  }
+
+  /**
+   * Calls a function of a smart contract without sending a transaction, and decodes its return values.
+   * The function is given either by its abi and name, or by its human-readable signature
+   * (e.g. "balanceOf(address) view returns (uint256)").
+   * Integers are returned as bigints and addresses in base58 format.
+   *
+   * @param {TronReadContractOptions} options - The call's options.
+   * @returns {Promise<any[]>} The decoded return values.
+   */
+  async readContract(options) {
+    this.#checkProviderConnection();
+
+    const { address, args = [] } = options;
+
+    const { contractInterface, fragment } = this.#getContractFunction(options);
+
+    const result = await this.#simulateContractCall(
+      address,
+      fragment,
+      args,
+      {},
+      contractInterface
+    );
+
+    const abi = JSON.parse(fragment.format("json"));
+    const values = this.#tronWeb.utils.abi.decodeParamsV2ByABI(
+      abi,
+      "0x" + ((result.constant_result && result.constant_result[0]) || "")
+    );
+
+    return abi.outputs.map((output, index) =>
+      this.#formatAbiValue(output, values[index])
+    );
+  }
+
+  /**
+   * Calls a function of a smart contract in a transaction signed by the account.
+   * The call is simulated first, so that calls that would revert fail without spending any fee.
+   *
+   * @param {TronWriteContractOptions} options - The call's options.
+   * @returns {Promise<TronTransactionResult>} The call's result.
+   */
+  async writeContract(options) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const { transaction, fee, resources } =
+      await this.#buildWriteContractTransaction(options);
+
+    const hash = await this.#signAndBroadcastTransaction(transaction, fee);
+
+    return { hash, fee, resources };
+  }
+
+  /**
+   * Quotes the costs of a smart contract call, including the energy it consumes.
+   *
+   * @param {TronWriteContractOptions} options - The call's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The call's quotes.
+   */
+  async quoteWriteContract(options) {
+    this.#checkProviderConnection();
+
+    const { fee, resources } = await this.#buildWriteContractTransaction(
+      options
+    );
+
+    return { hash: null, fee, resources };
+  }
+
+  /**
+   * Quotes the total costs of a batch of payments (see {@link WalletAccountTron#sendBatch}).
+   * Unlike the sum of the payments' quotes, the total accounts for the account's bandwidth and energy being shared
+   * by all the payments.
+   *
+   * @param {TronBatchItem[]} items - The payments.
+   * @param {TronBatchOptions} [options] - The batch's options.
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The batch's quotes.
+   */
+  async quoteSendBatch(items, options = {}) {
+    this.#checkProviderConnection();
+
+    const { fee, resources } = await this.#quoteBatch(items, options);
+
+    return { hash: null, fee, resources };
+  }
+
+  /**
+   * Sends a batch of trx and token payments (e.g. payouts).
+   *
+   * The batch is quoted first, and nothing is sent if the account's balances can't cover the payments and their
+   * fees. The payments are then sent with a limited concurrency, and a failed payment doesn't stop the others. Each
+   * payment's result is reported as soon as it's known through the 'onResult' option, so that a rerun of the batch
+   * can skip the payments already sent by passing their ids in the 'completed' option.
+   *
+   * Each payment's transaction is built and signed before being broadcast, so that its result holds the
+   * transaction's hash even if the broadcast fails. Payments whose broadcast might have reached the node (e.g. after
+   * a timeout) are reported with the "unknown" status: their transaction's status must be checked before sending
+   * them again, or they might be paid twice.
+   *
+   * @param {TronBatchItem[]} items - The payments.
+   * @param {TronBatchOptions} [options] - The batch's options.
+   * @returns {Promise<TronBatchResult>} The batch's quoted fee and the result of each payment.
+   */
+  async sendBatch(items, options = {}) {
+    this.#getSigner();
+    this.#checkProviderConnection();
+
+    const { concurrency = DEFAULT_BATCH_CONCURRENCY, onResult } = options;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error("The concurrency must be a positive integer");
+    }
+
+    const { fee, pending } = await this.#quoteBatch(items, options);
+
+    // Check the balances before sending anything, so that the batch isn't left half-paid
+    const amounts = new Map([[null, fee]]);
+    for (const { token = null, amount } of pending) {
+      // Tokens given by symbol and by address are checked together
+      const key =
+        token === null || isTrc10TokenId(token)
+          ? token
+          : this.#resolveToken(token);
+
+      amounts.set(key, (amounts.get(key) || 0) + amount);
+    }
+
+    for (const [token, required] of amounts) {
+      // TRC10 token ids are handled by getTokenBalance too
+      const balance =
+        token === null
+          ? await this.getBalance()
+          : await this.getTokenBalance(token);
+
+      if (balance < required) {
+        throw new Error(
+          `Insufficient ${
+            token === null ? "trx" : token
+          } balance for the batch: ${required} required, ${balance} available`
+        );
+      }
+    }
+
+    const pendingIds = new Set(pending.map(({ id }) => id));
+
+    const results = await mapWithConcurrency(
+      items,
+      concurrency,
+      async (item) => {
+        let result;
+
+        if (!pendingIds.has(item.id)) {
+          result = {
+            id: item.id,
+            status: "skipped",
+            hash: null,
+            fee: null,
+            error: null,
+          };
+        } else {
+          result = await this.#sendBatchItem(item);
+        }
+
+        if (onResult) {
+          try {
+            onResult(result);
+          } catch (_) {
+            // The callback's errors must not interrupt the payments still being sent
+          }
+        }
+
+        return result;
+      }
+    );
+
+    return { fee, results };
+  }
+
+  /**
+   * Quotes the payments of a batch that haven't been completed yet.
+   * @private
+   * @param {TronBatchItem[]} items - The payments.
+   * @param {TronBatchOptions} options - The batch's options.
+   * @returns {Promise<{ fee: number, resources: TronResourceCosts, pending: TronBatchItem[] }>} The batch's costs
+   *   and the payments to send.
+   */
+  async #quoteBatch(items, options) {
+    const { concurrency = DEFAULT_BATCH_CONCURRENCY, completed = [] } = options;
+
+    const ids = new Set();
+
+    for (const item of items) {
+      if (typeof item.id !== "string" || !item.id) {
+        throw new Error("Each payment of the batch must have an id");
+      }
+
+      if (ids.has(item.id)) {
+        throw new Error(`Duplicate payment id in the batch: ${item.id}`);
+      }
+
+      if (item.token && item.memo !== undefined) {
+        throw new Error(
+          `Payment ${item.id}: memos are only supported on trx payments`
+        );
+      }
+
+      ids.add(item.id);
+    }
+
+    const completedIds = new Set(completed);
+    const pending = items.filter(({ id }) => !completedIds.has(id));
+
+    const [quotes, available, { bandwidthPrice, energyPrice }] =
+      await Promise.all([
+        mapWithConcurrency(pending, concurrency, (item) => {
+          if (item.token) {
+            return this.quoteTransfer(item);
+          }
+
+          return this.quoteSendTransaction({
+            to: item.recipient,
+            value: item.amount,
+            memo: item.memo,
+          });
+        }),
+        this.#getAvailableResources(),
+        this.#getResourcePrices(),
+      ]);
+
+    // Each quote assumes it can use all the account's resources: share them between the payments instead
+    let { stakedBandwidth, freeBandwidth } = available;
+    let bandwidth = 0;
+    let bandwidthBurn = 0;
+    let energy = 0;
+    let fixedFees = 0;
+
+    // An account is only activated by the first payment it receives
+    const activatedAccounts = new Set();
+
+    quotes.forEach(({ fee, resources, activationFee }, index) => {
+      const required = resources.bandwidth.required;
+      const { recipient } = pending[index];
+
+      const activatesAccount = activationFee !== undefined;
+      const isActivation =
+        activatesAccount && !activatedAccounts.has(recipient);
+      const isRepeatedActivation = activatesAccount && !isActivation;
+
+      if (isActivation) activatedAccounts.add(recipient);
+
+      if (required <= stakedBandwidth) {
+        stakedBandwidth -= required;
+      } else if (!isActivation && required <= freeBandwidth) {
+        freeBandwidth -= required;
+      } else if (isActivation) {
+        bandwidthBurn += resources.bandwidth.cost;
+      } else {
+        bandwidthBurn += required * bandwidthPrice;
+      }
+
+      bandwidth += required;
+      energy += resources.energy.required;
+      fixedFees +=
+        fee -
+        resources.bandwidth.burn -
+        resources.energy.burn -
+        (isRepeatedActivation ? activationFee : 0);
+    });
+
+    const energyBurn = Math.max(energy - available.energy, 0) * energyPrice;
+
+    return {
+      fee: fixedFees + bandwidthBurn + energyBurn,
+      resources: {
+        bandwidth: {
+          required: bandwidth,
+          available: Math.max(
+            available.stakedBandwidth,
+            available.freeBandwidth
+          ),
+          price: bandwidthPrice,
+          cost: bandwidth * bandwidthPrice,
+          burn: bandwidthBurn,
+        },
+        energy: {
+          required: energy,
+          available: available.energy,
+          price: energyPrice,
+          cost: energy * energyPrice,
+          burn: energyBurn,
+        },
+      },
+      pending,
+    };
+  }
+
+  /**
+   * Sends a payment of a batch. The payment's transaction is built and signed before being broadcast, so that its
+   * hash is known even if the broadcast fails.
+   * @private
+   * @param {TronBatchItem} item - The payment.
+   * @returns {Promise<TronBatchItemResult>} The payment's result.
+   */
+  async #sendBatchItem(item) {
+    let hash = null;
+    let fee = null;
+
+    try {
+      const { transaction, fee: quotedFee } = await this.#buildBatchItem(item);
+
+      hash = transaction.txID;
+      fee = quotedFee;
+
+      this.#checkMaxFee(fee);
+
+      const signedTransaction = await this.signTransaction(transaction);
+
+      await this.broadcastTransaction(signedTransaction);
+
+      return { id: item.id, status: "sent", hash, fee, error: null };
+    } catch (error) {
+      return {
+        id: item.id,
+        status: error.code === BROADCAST_OUTCOME_UNKNOWN ? "unknown" : "failed",
+        hash,
+        fee,
+        error: error.message || String(error),
+      };
+    }
+  }
+
+  /**
+   * Builds the unsigned transaction of a payment of a batch.
+   * @private
+   * @param {TronBatchItem} item - The payment.
+   * @returns {Promise<{ transaction: Object, fee: number }>} The unsigned transaction and its quoted fee.
+   */
+  async #buildBatchItem(item) {
+    const { recipient, amount, token, memo, feeLimit } = item;
+
+    if (!token) {
+      const transaction = await this.buildSendTransaction({
+        to: recipient,
+        value: amount,
+        memo,
+      });
+      const { fee } = await this.#quoteBuiltTransaction(
+        transaction,
+        await this.#getMemoFee(transaction)
+      );
+
+      return { transaction, fee };
+    }
+
+    if (isTrc10TokenId(token)) {
+      const transaction = await this.#buildTrc10TransferTransaction({
+        recipient,
+        tokenId: token,
+        amount,
+      });
+      const { fee } = await this.#quoteBuiltTransaction(transaction);
+
+      return { transaction, fee };
+    }
+
+    return this.#buildContractCall(
+      this.#resolveToken(token),
+      "transfer(address,uint256)",
+      [
+        { type: "address", value: this.#tronWeb.address.toHex(recipient) },
+        { type: "uint256", value: amount },
+      ],
+      { feeLimit }
+    );
+  }
+
+  /**
+   * Builds an unsigned transaction creating an account.
+   * @private
+   * @param {string} address - The address of the account to activate.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async #buildActivateAccountTransaction(address) {
+    if (!TronWeb.isAddress(address)) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    if (await this.#isAccountActive(address)) {
+      throw new Error(`The account ${address} is already active`);
+    }
+
+    return this.#tronWeb.transactionBuilder.createAccount(
+      address,
+      await this.getAddress()
+    );
+  }
+
+  /**
+   * Builds an unsigned TRC10 transfer transaction.
+   * @private
+   * @param {TronTrc10TransferOptions} options - The transfer's options.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async #buildTrc10TransferTransaction(options) {
+    const { recipient, tokenId, amount } = options;
+
+    return this.#tronWeb.transactionBuilder.sendToken(
+      recipient,
+      amount,
+      String(tokenId),
+      await this.getAddress()
+    );
+  }
+
+  /**
+   * Checks that a transaction's id matches its raw data, so that the signed id is the one of the displayed
+   * transaction.
+   * @private
+   * @param {Object} transaction - The transaction.
+   */
+  #verifyTransaction(transaction) {
+    if (!transaction || !transaction.txID || !transaction.raw_data_hex) {
+      throw new Error("Invalid transaction provided");
+    }
+
+    const txID = transaction.txID.replace(/^0x/, "").toLowerCase();
+
+    if (getTransactionId(transaction.raw_data_hex) !== txID) {
+      throw new Error("The transaction's id does not match its raw data");
+    }
+
+    if (transaction.raw_data) {
+      let isValid;
+
+      try {
+        isValid = this.#tronWeb.utils.transaction.txCheck(transaction);
+      } catch (_) {
+        isValid = false;
+      }
+
+      if (!isValid) {
+        throw new Error("The transaction's id does not match its raw data");
+      }
+    }
+  }
+
+  /**
+   * Builds an unsigned permission update transaction.
+   * @private
+   * @param {TronPermissionsOptions} options - The new permissions.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async #buildUpdatePermissionsTransaction(options) {
+    const { owner, actives, witness } = options;
+
+    if (!owner || !actives || actives.length === 0) {
+      throw new Error(
+        "The owner permission and at least one active permission are required"
+      );
+    }
+
+    const toPermission = (permission, type, defaultName) => ({
+      type,
+      permission_name: permission.name || defaultName,
+      threshold: permission.threshold,
+      keys: permission.keys.map(({ address, weight }) => ({
+        address: this.#tronWeb.address.toHex(address),
+        weight,
+      })),
+      ...(type === ACTIVE_PERMISSION_TYPE && {
+        operations: permission.operations || DEFAULT_ACTIVE_OPERATIONS,
+      }),
+    });
+
+    return this.#tronWeb.transactionBuilder.updateAccountPermissions(
+      await this.getAddress(),
+      toPermission(owner, OWNER_PERMISSION_TYPE, "owner"),
+      witness
+        ? toPermission(witness, WITNESS_PERMISSION_TYPE, "witness")
+        : false,
+      actives.map((active) =>
+        toPermission(active, ACTIVE_PERMISSION_TYPE, "active")
+      )
+    );
+  }
+
+  /**
+   * Sets the permission an unsigned transaction is signed under, and recomputes its raw data and id.
+   * @private
+   * @param {Object} transaction - The unsigned transaction.
+   * @param {number} permissionId - The id of the permission.
+   * @returns {Object} The updated transaction.
+   */
+  #setTransactionPermission(transaction, permissionId) {
+    const { txJsonToPb, txPbToRawDataHex, txPbToTxID } =
+      this.#tronWeb.utils.transaction;
+
+    transaction.raw_data.contract[0].Permission_id = permissionId;
+
+    const transactionPb = txJsonToPb(transaction);
+    transaction.raw_data_hex = txPbToRawDataHex(transactionPb).toLowerCase();
+    transaction.txID = txPbToTxID(transactionPb).replace(/^0x/, "");
+
+    return transaction;
+  }
+
+  /**
+   * Sets the data (i.e., the memo) of an unsigned transaction, and recomputes its raw data and id.
+   * @private
+   * @param {Object} transaction - The unsigned transaction.
+   * @param {string} data - The data in hex format.
+   * @returns {Object} The updated transaction.
+   */
+  #setTransactionData(transaction, data) {
+    const { txJsonToPb, txPbToRawDataHex, txPbToTxID } =
+      this.#tronWeb.utils.transaction;
+
+    transaction.raw_data.data = data;
+
+    const transactionPb = txJsonToPb(transaction);
+    transaction.raw_data_hex = txPbToRawDataHex(transactionPb).toLowerCase();
+    transaction.txID = txPbToTxID(transactionPb).replace(/^0x/, "");
+
+    return transaction;
+  }
+
+  /**
+   * Builds an unsigned TRC721 transfer transaction.
+   * @private
+   * @param {TronTrc721TransferOptions} options - The transfer's options.
+   * @returns {Promise<{ transaction: Object, fee: number, resources: TronResourceCosts }>} The unsigned transaction and its costs.
+   */
+  async #buildTrc721TransferTransaction(options) {
+    const { token, recipient, tokenId, safe = true, feeLimit } = options;
+    const from = await this.getAddress();
+
+    return this.#buildContractCall(
+      token,
+      safe
+        ? "safeTransferFrom(address,address,uint256)"
+        : "transferFrom(address,address,uint256)",
+      [
+        { type: "address", value: this.#tronWeb.address.toHex(from) },
+        { type: "address", value: this.#tronWeb.address.toHex(recipient) },
+        { type: "uint256", value: tokenId },
+      ],
+      { feeLimit }
+    );
+  }
+
+  /**
+   * Builds an unsigned smart contract call and calculates its costs, including the energy it consumes.
+   * @private
+   * @param {string} contractAddress - The address of the contract.
+   * @param {string} functionSelector - The function's signature (e.g. "transfer(address,uint256)").
+   * @param {Object[]} parameter - The function's parameters.
+   * @param {Object} [options] - The call's options.
+   * @param {number | "auto"} [options.feeLimit] - The call's fee limit (default: the wallet's fee limit).
+   * @param {number} [options.callValue] - The amount of sun sent with the call (default: 0).
+   * @param {number} [options.tokenValue] - The amount of the TRC10 token sent with the call.
+   * @param {number} [options.tokenId] - The id of the TRC10 token sent with the call.
+   * @param {string} [options.rawParameter] - The encoded parameters, in place of the 'parameter' argument.
+   * @returns {Promise<{ transaction: Object, fee: number, resources: TronResourceCosts }>} The unsigned transaction and its costs.
+   */
+  async #buildContractCall(
+    contractAddress,
+    functionSelector,
+    parameter,
+    options = {}
+  ) {
+    const { feeLimit = this.#feeLimit, ...callOptions } = options;
+
+    checkFeeLimit(feeLimit);
+
+    const from = await this.getAddress();
+
+    const energy = await this.#estimateEnergy(
+      contractAddress,
+      functionSelector,
+      parameter,
+      callOptions
+    );
+
+    if (feeLimit === "auto" && !(energy > 0)) {
+      throw new Error(
+        "The energy of the call couldn't be estimated, set an explicit fee limit"
+      );
+    }
+
+    const { energyPrice } = await this.#getResourcePrices();
+    const energyCost = energy * energyPrice;
+
+    if (feeLimit !== "auto" && feeLimit < energyCost) {
+      throw new Error(
+        `The fee limit of ${feeLimit} sun is below the estimated energy cost of the call (${energyCost} sun)`
+      );
+    }
+
+    const { transaction } =
+      await this.#tronWeb.transactionBuilder.triggerSmartContract(
+        contractAddress,
+        functionSelector,
+        {
+          callValue: 0,
+          ...callOptions,
+          feeLimit:
+            feeLimit === "auto"
+              ? Math.max(Math.ceil(energyCost * AUTO_FEE_LIMIT_MARGIN), 1)
+              : feeLimit,
+        },
+        parameter,
+        this.#tronWeb.address.toHex(from)
+      );
+
+    const { fee, resources } = await this.#calculateTransactionCost(
+      transaction.raw_data_hex,
+      energy
+    );
+
+    return { transaction, fee, resources };
+  }
+
+  /**
+   * Calls a constant (view) function of a smart contract and decodes its return values.
+   * @private
+   * @param {string} contractAddress - The address of the contract.
+   * @param {string} functionSelector - The function's signature (e.g. "balanceOf(address)").
+   * @param {Object[]} parameter - The function's parameters.
+   * @param {string[]} outputTypes - The abi types of the function's return values.
+   * @returns {Promise<any[]>} The decoded return values.
+   */
+  async #callConstantFunction(
+    contractAddress,
+    functionSelector,
+    parameter,
+    outputTypes
+  ) {
+    const result =
+      await this.#tronWeb.transactionBuilder.triggerConstantContract(
+        contractAddress,
+        functionSelector,
+        {},
+        parameter,
+        await this.getAddress()
+      );
+
+    if (result && result.result && result.result.result === false) {
+      throw new Error(`Contract call to ${functionSelector} reverted`);
+    }
+
+    if (!result || !result.constant_result || !result.constant_result[0]) {
+      throw new Error("Invalid response format from contract");
+    }
+
+    return this.#tronWeb.utils.abi.decodeParams(
+      outputTypes,
+      "0x" + result.constant_result[0]
+    );
+  }
+
+  /**
+   * Builds an unsigned smart contract call from the options of {@link WalletAccountTron#writeContract} and
+   * calculates its costs.
+   * @private
+   * @param {TronWriteContractOptions} options - The call's options.
+   * @returns {Promise<{ transaction: Object, fee: number, resources: TronResourceCosts }>} The unsigned transaction and its costs.
+   */
+  async #buildWriteContractTransaction(options) {
+    const {
+      address,
+      args = [],
+      callValue = 0,
+      tokenValue,
+      tokenId,
+      feeLimit,
+    } = options;
+
+    const { contractInterface, fragment } = this.#getContractFunction(options);
+
+    if (!fragment.payable && (callValue > 0 || tokenValue > 0)) {
+      throw new Error(
+        `The function ${fragment.format("sighash")} is not payable`
+      );
+    }
+
+    const callOptions = { callValue, tokenValue, tokenId };
+
+    await this.#simulateContractCall(
+      address,
+      fragment,
+      args,
+      callOptions,
+      contractInterface
+    );
+
+    return this.#buildContractCall(address, fragment.format("sighash"), [], {
+      ...callOptions,
+      feeLimit,
+      rawParameter: this.#encodeFunctionArgs(fragment, args),
+    });
+  }
+
+  /**
+   * Resolves the function of a smart contract call, from either its abi and name or its signature.
+   * @private
+   * @param {TronReadContractOptions} options - The call's options.
+   * @returns {{ contractInterface: Object, fragment: Object }} The contract's interface and the function's fragment.
+   */
+  #getContractFunction(options) {
+    const { abi, signature, method } = options;
+    const { Interface } = this.#tronWeb.utils.ethersUtils;
+
+    if (signature) {
+      const contractInterface = new Interface([
+        signature.trim().startsWith("function ")
+          ? signature
+          : `function ${signature}`,
+      ]);
+
+      return { contractInterface, fragment: contractInterface.fragments[0] };
+    }
+
+    if (!abi || !method) {
+      throw new Error(
+        "Either the function's signature, or the contract's abi and the method's name must be provided"
+      );
+    }
+
+    const contractInterface = new Interface(abi);
+    const fragment = contractInterface.getFunction(method);
+
+    if (!fragment) {
+      throw new Error(`Function ${method} not found in the contract's abi`);
+    }
+
+    return { contractInterface, fragment };
+  }
+
+  /**
+   * Encodes the arguments of a smart contract call. Addresses can be given in base58 or hex format.
+   * @private
+   * @param {Object} fragment - The function's fragment.
+   * @param {any[]} args - The function's arguments.
+   * @returns {string} The encoded arguments in hex format, without the function's selector.
+   */
+  #encodeFunctionArgs(fragment, args) {
+    if (args.length !== fragment.inputs.length) {
+      throw new Error(
+        `The function ${fragment.format("sighash")} expects ${
+          fragment.inputs.length
+        } arguments, but ${args.length} were provided`
+      );
+    }
+
+    // The encoder converts the addresses in place
+    return this.#tronWeb.utils.abi
+      .encodeParamsV2ByABI(
+        JSON.parse(fragment.format("json")),
+        structuredClone(args)
+      )
+      .replace(/^0x/, "");
+  }
+
+  /**
+   * Simulates a smart contract call on the node.
+   * The node's endpoint is requested directly, since the revert data is dropped by tron web.
+   * @private
+   * @param {string} contractAddress - The address of the contract.
+   * @param {Object} fragment - The function's fragment.
+   * @param {any[]} args - The function's arguments.
+   * @param {{ callValue?: number, tokenValue?: number, tokenId?: number }} options - The call's value.
+   * @param {Object} contractInterface - The contract's interface, to decode custom errors.
+   * @returns {Promise<Object>} The node's response.
+   * @throws {Error} If the call reverts, with the decoded revert reason.
+   */
+  async #simulateContractCall(
+    contractAddress,
+    fragment,
+    args,
+    options,
+    contractInterface
+  ) {
+    const { callValue = 0, tokenValue, tokenId } = options;
+    const functionSelector = fragment.format("sighash");
+
+    const response = await this.#tronWeb.fullNode.request(
+      "wallet/triggerconstantcontract",
+      {
+        owner_address: this.#tronWeb.address.toHex(await this.getAddress()),
+        contract_address: this.#tronWeb.address.toHex(contractAddress),
+        function_selector: functionSelector,
+        parameter: this.#encodeFunctionArgs(fragment, args),
+        call_value: callValue,
+        call_token_value: tokenValue,
+        token_id: tokenId,
+      },
+      "post"
+    );
+
+    if (!response || response.Error) {
+      throw new Error(
+        `Contract call to ${functionSelector} failed: ${
+          (response && response.Error) || "Empty response from network"
+        }`
+      );
+    }
+
+    const [ret] = (response.transaction && response.transaction.ret) || [];
+    const message = response.result && response.result.message;
+
+    if (
+      (response.result && response.result.result === false) ||
+      (ret && ret.ret === "FAILED") ||
+      message
+    ) {
+      const reason = this.#decodeRevertReason(
+        { contractResult: response.constant_result, resMessage: message },
+        contractInterface
+      );
+
+      throw new Error(
+        `Contract call to ${functionSelector} reverted${
+          reason ? `: ${reason}` : ""
+        }`
+      );
+    }
+
+    return response;
+  }
+
+  /**
+   * Converts a decoded abi value to its plain javascript form: integers to bigints, addresses to base58.
+   * @private
+   * @param {Object} param - The value's abi parameter.
+   * @param {any} value - The decoded value.
+   * @returns {any} The converted value.
+   */
+  #formatAbiValue(param, value) {
+    const arrayType = param.type.match(/^(.*)\[\d*\]$/);
+
+    if (arrayType) {
+      return Array.from(value, (item) =>
+        this.#formatAbiValue({ ...param, type: arrayType[1] }, item)
+      );
+    }
+
+    if (param.type === "tuple") {
+      return param.components.map((component, index) =>
+        this.#formatAbiValue(component, value[index])
+      );
+    }
+
+    if (param.type === "address") {
+      return this.#tronWeb.address.fromHex(value);
+    }
+
+    if (/^(u?int\d*|trcToken)$/.test(param.type)) {
+      return BigInt(value.toString());
+    }
+
+    return value;
+  }
+
+  /**
+   * Requests a page of one of TronGrid's account history endpoints.
+   * @private
+   * @param {string} path - The endpoint's path.
+   * @param {TronHistoryOptions} options - The history's options.
+   * @param {Object} [params] - Additional query parameters.
+   * @returns {Promise<{ data: Object[], cursor: string | null }>} The page's entries and the cursor to the next page.
+   */
+  async #getHistoryPage(path, options, params = {}) {
+    const {
+      limit = DEFAULT_HISTORY_LIMIT,
+      cursor,
+      onlyConfirmed = false,
+      direction = "all",
+    } = options;
+
+    if (!["all", "in", "out"].includes(direction)) {
+      throw new Error(`Invalid history direction: ${direction}`);
+    }
+
+    const response = await this.#tronWeb.fullNode.request(path, {
+      ...params,
+      limit,
+      fingerprint: cursor || undefined,
+      only_confirmed: onlyConfirmed || undefined,
+      only_to: direction === "in" || undefined,
+      only_from: direction === "out" || undefined,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(
+        `Failed to fetch account history: ${
+          (response && response.error) || "Empty response from network"
+        }`
+      );
+    }
+
+    return {
+      data: response.data || [],
+      cursor: (response.meta && response.meta.fingerprint) || null,
+    };
+  }
+
+  /**
+   * Decodes the reason a smart contract call failed from its transaction info.
+   * @private
+   * @param {Object} info - The transaction info.
+   * @param {Object} [contractInterface] - The contract's interface, to decode custom errors.
+   * @returns {string | null} The revert reason.
+   */
+  #decodeRevertReason(info, contractInterface) {
+    const output = (info.contractResult && info.contractResult[0]) || "";
+
+    try {
+      if (output.startsWith(ERROR_SELECTOR)) {
+        const [reason] = this.#tronWeb.utils.abi.decodeParams(
+          ["string"],
+          "0x" + output.slice(ERROR_SELECTOR.length)
+        );
+
+        return reason;
+      }
+
+      if (output.startsWith(PANIC_SELECTOR)) {
+        const [code] = this.#tronWeb.utils.abi.decodeParams(
+          ["uint256"],
+          "0x" + output.slice(PANIC_SELECTOR.length)
+        );
+
+        return `Panic(0x${BigInt(code.toString()).toString(16)})`;
+      }
+
+      const error =
+        output &&
+        contractInterface &&
+        contractInterface.parseError("0x" + output);
+
+      if (error) {
+        return `${error.name}(${error.args.map(String).join(", ")})`;
+      }
+    } catch (_) {
+      // The output isn't a well-formed revert payload, use the node's message instead
+    }
+
+    return info.resMessage
+      ? Buffer.from(info.resMessage, "hex").toString("utf8")
+      : (info.receipt && info.receipt.result) || null;
+  }
+
+  /**
+   * Builds an unsigned stake transaction.
+   * @private
+   * @param {TronStakeOptions} options - The stake's options.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async #buildFreezeBalanceTransaction(options) {
+    const { amount, resource } = options;
+    this.#checkResource(resource);
+
+    return this.#tronWeb.transactionBuilder.freezeBalanceV2(
+      amount,
+      resource,
+      await this.getAddress()
+    );
+  }
+
+  /**
+   * Builds an unsigned unstake transaction.
+   * @private
+   * @param {TronStakeOptions} options - The unstake's options.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async #buildUnfreezeBalanceTransaction(options) {
+    const { amount, resource } = options;
+    this.#checkResource(resource);
+
+    return this.#tronWeb.transactionBuilder.unfreezeBalanceV2(
+      amount,
+      resource,
+      await this.getAddress()
+    );
+  }
+
+  /**
+   * Builds an unsigned delegation transaction.
+   * @private
+   * @param {TronDelegateOptions} options - The delegation's options.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async #buildDelegateResourceTransaction(options) {
+    const { receiver, amount, resource, lockPeriod } = options;
+    this.#checkResource(resource);
+
+    const lock = lockPeriod !== undefined && lockPeriod > 0;
+
+    return this.#tronWeb.transactionBuilder.delegateResource(
+      amount,
+      receiver,
+      resource,
+      await this.getAddress(),
+      lock,
+      lock ? lockPeriod : undefined
+    );
+  }
+
+  /**
+   * Builds an unsigned reclaim transaction.
+   * @private
+   * @param {TronUndelegateOptions} options - The reclaim's options.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async #buildUndelegateResourceTransaction(options) {
+    const { receiver, amount, resource } = options;
+    this.#checkResource(resource);
+
+    return this.#tronWeb.transactionBuilder.undelegateResource(
+      amount,
+      receiver,
+      resource,
+      await this.getAddress()
+    );
+  }
+
+  /**
+   * Builds an unsigned vote transaction.
+   * @private
+   * @param {Record<string, number>} votes - The number of votes for each super representative, by address.
+   * @returns {Promise<Object>} The unsigned transaction.
+   */
+  async #buildVoteTransaction(votes) {
+    for (const [address, count] of Object.entries(votes)) {
+      if (!this.#tronWeb.isAddress(address)) {
+        throw new Error(`Invalid super representative address: ${address}`);
+      }
+      if (!Number.isInteger(count) || count <= 0) {
+        throw new Error(`Invalid vote count for ${address}: ${count}`);
+      }
+    }
+
+    return this.#tronWeb.transactionBuilder.vote(
+      votes,
+      await this.getAddress()
+    );
+  }
+
+  /**
+   * Checks that a resource type is supported by the network.
+   * @private
+   * @param {TronResource} resource - The resource type.
+   */
+  #checkResource(resource) {
+    if (!RESOURCE_TYPES.includes(resource)) {
+      throw new Error(
+        `Invalid resource "${resource}": expected one of ${RESOURCE_TYPES.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  /**
+   * Quotes the costs of an unsigned system contract transaction, including the activation of its recipient's
+   * account if needed.
+   * @private
+   * @param {Object} transaction - The unsigned transaction.
+   * @param {number} [additionalFee] - A fixed fee charged by the system contract (in sun, default: 0).
+   * @returns {Promise<Omit<TronTransactionResult, "hash">>} The transaction's quotes.
+   */
+  async #quoteBuiltTransaction(transaction, additionalFee = 0) {
+    const activatesAccount = await this.#activatesAccount(transaction);
+
+    const { fee, resources } = await this.#calculateTransactionCost(
+      transaction.raw_data_hex,
+      0,
+      activatesAccount
+    );
+
+    if (!activatesAccount) {
+      return { hash: null, fee: fee + additionalFee, resources };
+    }
+
+    const { getCreateNewAccountFeeInSystemContract: activationFee = 0 } =
+      await this.#getChainParameters();
+
+    return {
+      hash: null,
+      fee: fee + additionalFee + activationFee,
+      resources,
+      activationFee,
+    };
+  }
+
+  /**
+   * Quotes, signs and broadcasts an unsigned system contract transaction.
+   * @private
+   * @param {Object} transaction - The unsigned transaction.
+   * @param {number} [additionalFee] - A fixed fee charged by the system contract (in sun, default: 0).
+   * @returns {Promise<TronTransactionResult>} The transaction's result.
+   */
+  async #sendBuiltTransaction(transaction, additionalFee = 0) {
+    const quote = await this.#quoteBuiltTransaction(transaction, additionalFee);
+
+    const hash = await this.#signAndBroadcastTransaction(
+      transaction,
+      quote.fee
+    );
+
+    return { ...quote, hash };
+  }
+
+  /**
+   * Checks that a transaction's quoted fee doesn't exceed the wallet's maximum fee, if any.
+   * @private
+   * @param {number} fee - The transaction's quoted fee.
+   * @throws {Error} If the fee exceeds the maximum fee.
+   */
+  #checkMaxFee(fee) {
+    if (this.#maxFee !== undefined && fee > this.#maxFee) {
+      throw new Error(
+        `The transaction's fee of ${fee} sun exceeds the maximum fee of ${
+          this.#maxFee
+        } sun`
+      );
+    }
+  }
+
+  /**
+   * Signs a transaction with the account's key and broadcasts it.
+   * @private
+   * @param {Object} transaction - The unsigned transaction.
+   * @param {number} fee - The transaction's quoted fee, checked against the wallet's maximum fee.
+   * @returns {Promise<string>} The transaction's hash.
+   */
+  async #signAndBroadcastTransaction(transaction, fee) {
+    this.#checkMaxFee(fee);
+
+    const signedTransaction = await this.signTransaction(transaction);
+
+    const { hash } = await this.broadcastTransaction(signedTransaction);
+
+    return hash;
+  }
+
+  /**
+   * Disposes the wallet account, and erases the private key from the memory.
+   */
+  dispose() {
+    for (const buffer of [
+      this.#privateKeyBuffer,
+      this.#hmacOutputBuffer,
+      this.#derivationDataBuffer,
+    ]) {
+      if (buffer) sodium.sodium_memzero(buffer);
+    }
 
     this.#privateKeyBuffer = null;
     this.#hmacOutputBuffer = null;
     this.#derivationDataBuffer = null;
-    this.#signingKey = null;
+    this.#signer = null;
     this.#tronWeb = null;
+    this.#chainParameters = null;
+    this.#isDisposed = true;
   }
 }
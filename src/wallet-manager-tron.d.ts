@@ -1,5 +1,9 @@
 /** @typedef {import('./wallet-account-tron.js').TronWalletConfig} TronWalletConfig */
 import WalletAccountTron, { TronWalletConfig } from "./wallet-account-tron.js";
+import { TronFeeRates } from "./chain-parameters.js";
+import PaymentWatcher, {
+  TronPaymentWatcherOptions,
+} from "./payment-watcher.js";
 
 export default class WalletManagerTron {
   /**
@@ -39,13 +43,86 @@ export default class WalletManagerTron {
   getAccountByPath(path: string): Promise<WalletAccountTron>;
 
   /**
-   * Returns the current fee rates.
+   * Finds the accounts a restored seed has used, by walking the account indexes until a number of consecutive
+   * addresses have no on-chain activity. An address is used if its account has been activated, or if it holds any
+   * token of the network's registry.
    *
-   * @returns {Promise<{ normal: number, fast: number }>} The fee rates (in sun).
+   * @param {TronDiscoverAccountsOptions} [options] - The discovery's options.
+   * @returns {Promise<TronDiscoveredAccount[]>} The used accounts, with their balances.
    */
-  getFeeRates(): Promise<{
-    normal: number;
-    fast: number;
-  }>;
+  discoverAccounts(
+    options?: TronDiscoverAccountsOptions
+  ): Promise<TronDiscoveredAccount[]>;
+
+  /**
+   * Returns the extended public key (xpub) of the wallet's first BIP-44 account (m/44'/195'/0').
+   *
+   * @returns {Promise<string>} The extended public key.
+   */
+  getExtendedPublicKey(): Promise<string>;
+
+  /**
+   * Returns the chain's current resource prices and fees. Tron has no fee market: transactions burn trx at fixed
+   * prices for the bandwidth and energy they consume, on top of fixed fees for memos and account activations.
+   * The values are cached for the wallet's 'feeRatesTtl' (default: one minute).
+   *
+   * @param {string} [contract] - The address or the symbol of a contract to return the dynamic energy factor of.
+   * @returns {Promise<TronFeeRates>} The fee rates.
+   */
+  getFeeRates(contract?: string): Promise<TronFeeRates>;
+
+  /**
+   * Returns the super representatives with the most votes, together with their brokerage.
+   *
+   * @param {number} [limit] - The maximum number of super representatives to return (default: 27, the active ones).
+   * @returns {Promise<TronSuperRepresentative[]>} The super representatives, sorted by votes.
+   */
+  getSuperRepresentatives(limit?: number): Promise<TronSuperRepresentative[]>;
+
+  /**
+   * Creates a watcher that reports the incoming trx and TRC20 payments to a set of accounts.
+   *
+   * @param {TronPaymentWatcherOptions} [options] - The watcher's options.
+   * @returns {PaymentWatcher} The watcher, not started yet.
+   */
+  createPaymentWatcher(options?: TronPaymentWatcherOptions): PaymentWatcher;
   #private;
 }
+
+export type TronSuperRepresentative = {
+  /** The address of the super representative. */
+  address: string;
+  /** The website of the super representative. */
+  url: string;
+  /** The number of votes the super representative has received. */
+  votes: number;
+  /** The percentage of the rewards the super representative keeps; voters share the rest. */
+  brokerage: number;
+  /** True if the super representative is currently producing blocks. */
+  isActive: boolean;
+};
+
+export type TronDiscoverAccountsOptions = {
+  /** The number of consecutive unused addresses after which the discovery stops (default: 20). */
+  gapLimit?: number;
+  /** The maximum number of account indexes to scan (default: no limit). */
+  maxAccounts?: number;
+};
+
+export type TronDiscoveredAccount = {
+  /** The index of the account (see {@link WalletManagerTron#getAccount}). */
+  index: number;
+  /** The address of the account. */
+  address: string;
+  /** The account. */
+  account: WalletAccountTron;
+  /** True if the account has been activated on-chain, false if its address only holds tokens. */
+  isActivated: boolean;
+  /** The account's trx balance, in sun. */
+  balance: number;
+  /**
+   * The account's TRC20 balances in base unit, by token contract address. Only the tokens of the network's registry
+   * are checked for accounts that haven't been activated.
+   */
+  tokenBalances: Record<string, number>;
+};
@@ -14,19 +14,36 @@
 
 "use strict";
 
-import TronWeb from "tronweb";
 import sodium from "sodium-universal";
 import WalletManager from "@wdk/wallet";
-import WalletAccountTron from "./wallet-account-tron.js";
+import WalletAccountTron, {
+  MANAGER_CONNECTION,
+} from "./wallet-account-tron.js";
+import PaymentWatcher from "./payment-watcher.js";
+import { createTronWeb } from "./provider.js";
+import { resolveNetwork, resolveTokenAddress } from "./networks.js";
+import ChainParameters from "./chain-parameters.js";
+import { deriveExtendedPublicKey } from "./signer/utils.js";
 
-const FEE_RATE_NORMAL_MULTIPLIER = 1.1;
-const FEE_RATE_FAST_MULTIPLIER = 2.0;
+// The number of super representatives that produce blocks in each maintenance period.
+const ACTIVE_SUPER_REPRESENTATIVES = 27;
+
+// The number of consecutive unused addresses after which wallets stop looking for accounts (see BIP-44).
+const DEFAULT_GAP_LIMIT = 20;
 
 /** @typedef {import('./wallet-account-tron.js').TronWalletConfig} TronWalletConfig */
+/** @typedef {import('./chain-parameters.d.ts').TronFeeRates} TronFeeRates */
+/** @typedef {import('./wallet-manager-tron.d.ts').TronSuperRepresentative} TronSuperRepresentative */
+/** @typedef {import('./payment-watcher.d.ts').TronPaymentWatcherOptions} TronPaymentWatcherOptions */
+/** @typedef {import('./wallet-manager-tron.d.ts').TronDiscoverAccountsOptions} TronDiscoverAccountsOptions */
+/** @typedef {import('./wallet-manager-tron.d.ts').TronDiscoveredAccount} TronDiscoveredAccount */
 
 export default class WalletManagerTron extends WalletManager {
   #tronWeb;
+  #chainParameters;
+  #config;
   #accounts;
+  #watchers;
 
   /**
    * Creates a new wallet manager for tron blockchains.
@@ -36,13 +53,15 @@ export default class WalletManagerTron extends WalletManager {
    */
   constructor(seed, config = {}) {
     super(seed);
+    this.#config = config;
     this.#accounts = new Set();
+    this.#watchers = new Set();
 
-    const { rpcUrl } = config;
-
-    this.#tronWeb = new TronWeb({
-      fullHost: rpcUrl || "https://api.trongrid.io",
-    });
+    this.#tronWeb = createTronWeb(config);
+    this.#chainParameters = new ChainParameters(
+      this.#tronWeb,
+      config.feeRatesTtl
+    );
   }
 
   /**
@@ -61,7 +80,8 @@ export default class WalletManagerTron extends WalletManager {
   }
 
   /**
-   * Returns the wallet account at a specific BIP-44 derivation path.
+   * Returns the wallet account at a specific BIP-44 derivation path. The manager's accounts share its connection and
+   * its cache of the chain's fee parameters.
    *
    * @example
    * // Returns the account with derivation path m/44'/195'/0'/0/1
@@ -71,53 +91,230 @@ export default class WalletManagerTron extends WalletManager {
    */
   async getAccountByPath(path) {
     const account = new WalletAccountTron(this.seed, path, {
-      rpcUrl: this.#tronWeb.fullNode.host,
+      ...this.#config,
+      [MANAGER_CONNECTION]: {
+        tronWeb: this.#tronWeb,
+        chainParameters: this.#chainParameters,
+      },
     });
     this.#accounts.add(account);
     return account;
   }
 
   /**
-   * Returns the current fee rates.
+   * Finds the accounts a restored seed has used, by walking the account indexes until a number of consecutive
+   * addresses have no on-chain activity. An address is used if its account has been activated, or if it holds any
+   * token of the network's registry (tokens can be received by addresses that have never been activated).
    *
-   * @returns {Promise<{ normal: number, fast: number }>} The fee rates (in sun).
+   * @param {TronDiscoverAccountsOptions} [options] - The discovery's options.
+   * @returns {Promise<TronDiscoveredAccount[]>} The used accounts, with their balances.
    */
-  async getFeeRates() {
+  async discoverAccounts(options = {}) {
     if (!this.#tronWeb.fullNode.host) {
       throw new Error(
-        "The wallet must be connected to a provider to get fee rates"
+        "The wallet must be connected to a provider to discover accounts"
       );
     }
 
-    const chainParameters = await this.#tronWeb.trx.getChainParameters();
+    const { gapLimit = DEFAULT_GAP_LIMIT, maxAccounts = Infinity } = options;
+
+    if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+      throw new Error("The gap limit must be a positive integer");
+    }
+
+    const discoveredAccounts = [];
+
+    for (
+      let index = 0, gap = 0;
+      index < maxAccounts && gap < gapLimit;
+      index++
+    ) {
+      const account = await this.getAccount(index);
+      const address = await account.getAddress();
+
+      const response = await this.#tronWeb.fullNode.request(
+        `v1/accounts/${address}`
+      );
+
+      if (!response || !response.success) {
+        throw new Error(
+          `Failed to fetch account ${address}: ${
+            (response && response.error) || "Empty response from network"
+          }`
+        );
+      }
+
+      const [info] = response.data || [];
+
+      let tokenBalances;
+
+      if (info) {
+        const entries = (info.trc20 || []).flatMap((balances) =>
+          Object.entries(balances).map(([token, balance]) => [
+            token,
+            Number(balance),
+          ])
+        );
+
+        tokenBalances = Object.fromEntries(entries);
+      } else {
+        tokenBalances = await this.#getRegistryTokenBalances(account);
+      }
+
+      if (!info && Object.keys(tokenBalances).length === 0) {
+        // Unused accounts are only derived to be scanned
+        account.dispose();
+        this.#accounts.delete(account);
+        gap++;
+        continue;
+      }
+
+      discoveredAccounts.push({
+        index,
+        address,
+        account,
+        isActivated: Boolean(info),
+        balance: info ? Number(info.balance) || 0 : 0,
+        tokenBalances,
+      });
+
+      gap = 0;
+    }
+
+    return discoveredAccounts;
+  }
 
-    // Get fee parameters
-    const getTransactionFee = chainParameters.find(
-      (param) => param.key === "getTransactionFee"
+  /**
+   * Returns the non-zero balances of an account in the tokens of the network's registry.
+   * @private
+   * @param {WalletAccountTron} account - The account.
+   * @returns {Promise<Record<string, number>>} The balances in base unit, by token contract address.
+   */
+  async #getRegistryTokenBalances(account) {
+    const { tokens } = resolveNetwork(this.#config);
+
+    const balances = await Promise.all(
+      Object.values(tokens).map(async ({ address }) => [
+        address,
+        await account.getTokenBalance(address),
+      ])
     );
 
-    // Base transaction fee
-    const baseFee = Number(getTransactionFee.value);
+    return Object.fromEntries(balances.filter(([, balance]) => balance > 0));
+  }
 
-    // Calculate fee rates using multipliers
-    const normal = Math.round(baseFee * FEE_RATE_NORMAL_MULTIPLIER);
-    const fast = Math.round(baseFee * FEE_RATE_FAST_MULTIPLIER);
+  /**
+   * Returns the extended public key (xpub) of the wallet's first BIP-44 account (m/44'/195'/0'). It can be shared
+   * with services holding no keys, to derive the addresses of the accounts returned by {@link getAccount} (see
+   * {@link WalletAccountReadOnlyTron.fromExtendedPublicKey}).
+   *
+   * @returns {Promise<string>} The extended public key.
+   */
+  async getExtendedPublicKey() {
+    return deriveExtendedPublicKey(this.seed, "m/44'/195'/0'");
+  }
 
-    return {
-      normal,
-      fast,
-    };
+  /**
+   * Returns the chain's current resource prices and fees. Tron has no fee market: transactions burn trx at fixed
+   * prices for the bandwidth and energy they consume, on top of fixed fees for memos and account activations.
+   * The values are cached for the wallet's 'feeRatesTtl' (default: one minute).
+   *
+   * @example
+   * // Includes the dynamic energy factor of the USDT contract
+   * const { energyPrice, energyFactor } = await wallet.getFeeRates("USDT");
+   * @param {string} [contract] - The address or the symbol of a contract to return the dynamic energy factor of.
+   * @returns {Promise<TronFeeRates>} The fee rates.
+   */
+  async getFeeRates(contract) {
+    if (!this.#tronWeb.fullNode.host) {
+      throw new Error(
+        "The wallet must be connected to a provider to get fee rates"
+      );
+    }
+
+    return this.#chainParameters.getFeeRates(
+      contract === undefined
+        ? undefined
+        : resolveTokenAddress(resolveNetwork(this.#config), contract)
+    );
   }
 
   /**
-   * Disposes all the wallet accounts, and erases their private keys from the memory.
+   * Returns the super representatives with the most votes, together with their brokerage.
+   *
+   * @param {number} [limit] - The maximum number of super representatives to return (default: 27, the active ones).
+   * @returns {Promise<TronSuperRepresentative[]>} The super representatives, sorted by votes.
+   */
+  async getSuperRepresentatives(limit = ACTIVE_SUPER_REPRESENTATIVES) {
+    if (!this.#tronWeb.fullNode.host) {
+      throw new Error(
+        "The wallet must be connected to a provider to get super representatives"
+      );
+    }
+
+    const witnesses = await this.#tronWeb.trx.listSuperRepresentatives();
+
+    const topWitnesses = witnesses
+      .sort((a, b) => Number(b.voteCount || 0) - Number(a.voteCount || 0))
+      .slice(0, limit);
+
+    return Promise.all(
+      topWitnesses.map(async (witness) => {
+        const address = this.#tronWeb.address.fromHex(witness.address);
+        const brokerage = await this.#tronWeb.trx.getBrokerage(address);
+
+        return {
+          address,
+          url: witness.url,
+          votes: Number(witness.voteCount) || 0,
+          brokerage: Number(brokerage),
+          isActive: Boolean(witness.isJobs),
+        };
+      })
+    );
+  }
+
+  /**
+   * Creates a watcher that reports the incoming trx and TRC20 payments to a set of accounts.
+   *
+   * @example
+   * const watcher = wallet.createPaymentWatcher({
+   *   accounts: [await wallet.getAccount(0), await wallet.getAccount(1)],
+   *   tokens: ["TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t"],
+   *   lastBlock: await store.getLastBlock(),
+   * });
+   * watcher.on("payment", (payment) => console.log(payment));
+   * watcher.on("checkpoint", (blockNumber) => store.setLastBlock(blockNumber));
+   * watcher.on("error", (error) => console.error(error));
+   * watcher.start();
+   * @param {TronPaymentWatcherOptions} [options] - The watcher's options.
+   * @returns {PaymentWatcher} The watcher, not started yet.
+   */
+  createPaymentWatcher(options = {}) {
+    if (!this.#tronWeb.fullNode.host) {
+      throw new Error(
+        "The wallet must be connected to a provider to watch payments"
+      );
+    }
+
+    const watcher = new PaymentWatcher(this.#tronWeb, options);
+    this.#watchers.add(watcher);
+    return watcher;
+  }
+
+  /**
+   * Stops all the payment watchers, disposes all the wallet accounts, and erases their private keys from the memory.
    */
   dispose() {
+    for (const watcher of this.#watchers) watcher.stop();
+    this.#watchers.clear();
+
     for (const account of this.#accounts) account.dispose();
     this.#accounts.clear();
 
     sodium.sodium_memzero(this.seed);
     this.seed = null;
     this.#tronWeb = null;
+    this.#chainParameters = null;
   }
 }
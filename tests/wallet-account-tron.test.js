@@ -1,5 +1,21 @@
+import TronWeb from "tronweb";
 import WalletAccountTron from "../src/wallet-account-tron.js";
+import WalletAccountReadOnlyTron from "../src/wallet-account-read-only-tron.js";
+import { LocalSigner } from "../src/signer/local-signer.js";
+import {
+  getTransactionId,
+  serializeTransaction,
+  deserializeTransaction,
+} from "../src/transaction.js";
+import {
+  NETWORKS,
+  resolveNetwork,
+  getNetworkToken,
+  resolveTokenAddress,
+} from "../src/networks.js";
+import { secp256k1 } from "@noble/curves/secp256k1";
 import * as bip39 from "bip39";
+import http from "http";
 
 const SEED_PHRASE =
   "between oval abandon quantum heavy stable guess limb ring hobby surround wall";
@@ -7,18 +23,12 @@ const VALID_SEED = bip39.mnemonicToSeedSync(SEED_PHRASE);
 const VALID_PATH = "0'/0'";
 // Tron network configuration
 const VALID_CONFIG = {
-  // rpcUrl: "https://api.trongrid.io", // Mainnet
-  // rpcUrl: 'https://api.shasta.trongrid.io' // Testnet
-  rpcUrl: "https://nile.trongrid.io", // Nile testnet
+  // network: "mainnet",
+  // network: "shasta",
+  network: "nile",
 };
 const VALID_ADDRESS = "TWcBKmZpttULdr9qN4ktr6YZG7YUSZizjh"; // Example Tron address
-const USDT_CONTRACT_ADDRESSES = {
-  "https://api.trongrid.io": "TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t", // USDT on Mainnet
-  "https://api.shasta.trongrid.io": "TG3XXyExBkPp9nzdajDZsozEu4BkaSJozs", // USDT on Shasta
-  "https://nile.trongrid.io": "TXYZopYRdj2D9XRtbG411XZZ3kM5VkAeBf", // USDT on Nile
-};
-
-const VALID_TOKEN = USDT_CONTRACT_ADDRESSES[VALID_CONFIG.rpcUrl];
+const VALID_TOKEN = NETWORKS[VALID_CONFIG.network].tokens.USDT.address;
 
 describe("WalletAccountTron", () => {
   let wallet;
@@ -139,7 +149,12 @@ describe("WalletAccountTron", () => {
       const quote = await wallet.quoteSendTransaction({ to, value: amount });
       expect(quote).toBeDefined();
       expect(quote.fee).toBeDefined();
-      expect(quote.fee).toBeGreaterThan(0);
+      expect(quote.fee).toBeGreaterThanOrEqual(0);
+      expect(quote.resources.bandwidth.required).toBeGreaterThan(0);
+      expect(quote.resources.energy.required).toBe(0);
+      expect(quote.fee).toBe(
+        quote.resources.bandwidth.burn + quote.resources.energy.burn
+      );
     });
 
     it("should handle transaction errors", async () => {
@@ -159,6 +174,100 @@ describe("WalletAccountTron", () => {
     });
   });
 
+  describe("account activation", () => {
+    const getInactiveAddress = () =>
+      TronWeb.utils.accounts.generateAccount().address.base58;
+
+    it("should include the activation costs when quoting a transaction to an inactive address", async () => {
+      const quote = await wallet.quoteSendTransaction({
+        to: getInactiveAddress(),
+        value: 1000000,
+      });
+
+      expect(quote.activationFee).toBeGreaterThan(0);
+      expect(quote.fee).toBe(
+        quote.activationFee +
+          quote.resources.bandwidth.burn +
+          quote.resources.energy.burn
+      );
+    });
+
+    it("should not include activation costs when quoting a transaction to an active address", async () => {
+      const quote = await wallet.quoteSendTransaction({
+        to: VALID_TOKEN,
+        value: 1000000,
+      });
+
+      expect(quote.activationFee).toBeUndefined();
+    });
+
+    it("should quote an account's activation", async () => {
+      const quote = await wallet.quoteActivateAccount(getInactiveAddress());
+
+      expect(quote.hash).toBeNull();
+      expect(quote.activationFee).toBeGreaterThan(0);
+      expect(quote.fee).toBeGreaterThanOrEqual(quote.activationFee);
+    });
+
+    it("should throw error when activating an active account", async () => {
+      await expect(wallet.activateAccount(VALID_TOKEN)).rejects.toThrow(
+        `The account ${VALID_TOKEN} is already active`
+      );
+    });
+
+    it("should throw error when activating an invalid address", async () => {
+      await expect(wallet.activateAccount("invalid_address")).rejects.toThrow(
+        "Invalid address: invalid_address"
+      );
+    });
+  });
+
+  describe("memos", () => {
+    const tx = { to: VALID_ADDRESS, value: 1000000 };
+
+    it("should set the memo before computing the transaction id", async () => {
+      const transaction = await wallet.buildSendTransaction({
+        ...tx,
+        memo: "deposit-42",
+      });
+
+      expect(transaction.raw_data.data).toBe(
+        Buffer.from("deposit-42").toString("hex")
+      );
+      expect(transaction.txID).toBe(getTransactionId(transaction.raw_data_hex));
+    });
+
+    it("should accept memos as bytes", async () => {
+      const transaction = await wallet.buildSendTransaction({
+        ...tx,
+        memo: new Uint8Array([1, 2, 3]),
+      });
+
+      expect(transaction.raw_data.data).toBe("010203");
+    });
+
+    it("should quote the bandwidth and the fee of the memo", async () => {
+      const quote = await wallet.quoteSendTransaction(tx);
+      const memoQuote = await wallet.quoteSendTransaction({
+        ...tx,
+        memo: "payout reference 0001",
+      });
+
+      expect(memoQuote.resources.bandwidth.required).toBe(
+        quote.resources.bandwidth.required + "payout reference 0001".length + 2
+      );
+      expect(memoQuote.fee).toBeGreaterThanOrEqual(
+        memoQuote.resources.bandwidth.burn
+      );
+    });
+
+    it("should throw error for an invalid memo", async () => {
+      await expect(
+        wallet.buildSendTransaction({ ...tx, memo: 42 })
+      ).rejects.toThrow("The memo must be a string or a byte array");
+    });
+  });
+
   describe("balance", () => {
     it("should get wallet balance", async () => {
       const balance = await wallet.getBalance();
@@ -216,6 +325,21 @@ describe("WalletAccountTron", () => {
       expect(quote.hash).toBeNull();
     });
 
+    it("should include the energy of the transfer call in the quote", async () => {
+      const transferOptions = {
+        recipient: VALID_ADDRESS,
+        token: VALID_TOKEN,
+        amount: 1000000,
+      };
+      const { fee, resources } = await wallet.quoteTransfer(transferOptions);
+      expect(resources.energy.required).toBeGreaterThan(0);
+      expect(resources.energy.price).toBeGreaterThan(0);
+      expect(resources.energy.cost).toBe(
+        resources.energy.required * resources.energy.price
+      );
+      expect(fee).toBe(resources.bandwidth.burn + resources.energy.burn);
+    });
+
     it("should throw error when transferring token with invalid RPC", async () => {
       const walletWithInvalidRpc = new WalletAccountTron(
         VALID_SEED,
@@ -246,6 +370,858 @@ describe("WalletAccountTron", () => {
     });
   });
 
+  describe("networks", () => {
+    it("should resolve a well-known token by its symbol", async () => {
+      const transferOptions = { recipient: VALID_ADDRESS, amount: 1000000 };
+
+      const quote = await wallet.quoteTransfer({
+        ...transferOptions,
+        token: "USDT",
+      });
+
+      expect(quote).toEqual(
+        await wallet.quoteTransfer({ ...transferOptions, token: VALID_TOKEN })
+      );
+    });
+
+    it("should get the balance of a well-known token by its symbol", async () => {
+      expect(await wallet.getTokenBalance("usdt")).toBe(
+        await wallet.getTokenBalance(VALID_TOKEN)
+      );
+    });
+
+    it("should resolve the network of a well-known rpc url", async () => {
+      const walletWithRpcUrl = new WalletAccountTron(VALID_SEED, VALID_PATH, {
+        rpcUrl: NETWORKS[VALID_CONFIG.network].fullNode,
+      });
+
+      expect(await walletWithRpcUrl.getTokenBalance("USDT")).toBe(
+        await wallet.getTokenBalance(VALID_TOKEN)
+      );
+    });
+
+    it("should resolve the other well-known tokens by their symbol", () => {
+      const mainnet = resolveNetwork({ network: "mainnet" });
+
+      expect(resolveTokenAddress(mainnet, "usdc")).toBe(
+        "TEkxiTehnzSmSe2XqrBj4w32RUN966rdz8"
+      );
+      expect(getNetworkToken(mainnet, "USDD")).toEqual({
+        address: "TXDk8mbtRbXeYuMNS83CfKPaYYT8XWv9Hz",
+        decimals: 18,
+      });
+      expect(getNetworkToken(mainnet, "WTRX").decimals).toBe(6);
+    });
+
+    it("should resolve the tokens of a custom network", async () => {
+      const walletWithCustomNetwork = new WalletAccountTron(
+        VALID_SEED,
+        VALID_PATH,
+        {
+          network: {
+            fullNode: NETWORKS[VALID_CONFIG.network].fullNode,
+            tokens: { TEST: { address: VALID_TOKEN, decimals: 6 } },
+          },
+        }
+      );
+
+      expect(await walletWithCustomNetwork.getTokenBalance("TEST")).toBe(
+        await wallet.getTokenBalance(VALID_TOKEN)
+      );
+    });
+
+    it("should throw error for an unknown token symbol", async () => {
+      await expect(
+        wallet.quoteTransfer({
+          recipient: VALID_ADDRESS,
+          token: "UNKNOWN",
+          amount: 1000000,
+        })
+      ).rejects.toThrow(
+        `Unknown token: UNKNOWN on the ${VALID_CONFIG.network} network`
+      );
+    });
+
+    it("should refuse to build a transaction on another network's node", async () => {
+      const walletOnWrongNode = new WalletAccountTron(VALID_SEED, VALID_PATH, {
+        network: "mainnet",
+        rpcUrl: NETWORKS.nile.fullNode,
+      });
+
+      await expect(
+        walletOnWrongNode.buildSendTransaction({ to: VALID_ADDRESS, value: 1 })
+      ).rejects.toThrow("The node is not connected to the mainnet network");
+    });
+
+    it("should refuse to sign a transaction on another network's node", async () => {
+      const transaction = await wallet.buildSendTransaction({
+        to: VALID_ADDRESS,
+        value: 1,
+      });
+
+      const walletOnWrongNode = new WalletAccountTron(VALID_SEED, VALID_PATH, {
+        network: "mainnet",
+        rpcUrl: NETWORKS.nile.fullNode,
+      });
+
+      await expect(
+        walletOnWrongNode.signTransaction(transaction)
+      ).rejects.toThrow("The node is not connected to the mainnet network");
+    });
+
+    it("should throw error for an unknown network", () => {
+      expect(
+        () =>
+          new WalletAccountTron(VALID_SEED, VALID_PATH, { network: "unknown" })
+      ).toThrow("Unknown network: unknown");
+    });
+  });
+
+  describe("trc10 token operations", () => {
+    const TRC10_TOKEN_ID = "1000001";
+
+    it("should get a trc10 balance", async () => {
+      const balance = await wallet.getTrc10Balance(TRC10_TOKEN_ID);
+      expect(typeof balance).toBe("number");
+      expect(balance).toBeGreaterThanOrEqual(0);
+    });
+
+    it("should get a trc10 balance through getTokenBalance", async () => {
+      const balance = await wallet.getTokenBalance(TRC10_TOKEN_ID);
+      expect(balance).toBe(await wallet.getTrc10Balance(TRC10_TOKEN_ID));
+    });
+
+    it("should get the trc10 token info", async () => {
+      const info = await wallet.getTrc10TokenInfo(TRC10_TOKEN_ID);
+      expect(info.id).toBe(TRC10_TOKEN_ID);
+      expect(typeof info.name).toBe("string");
+      expect(typeof info.decimals).toBe("number");
+    });
+
+    it("should throw error for an unknown trc10 token", async () => {
+      await expect(wallet.getTrc10TokenInfo("9999999")).rejects.toMatch(
+        "Token does not exist"
+      );
+    });
+  });
+
+  describe("trc721 token operations", () => {
+    it("should handle invalid collection address", async () => {
+      await expect(
+        wallet.getTrc721Balance("invalid_address")
+      ).rejects.toBeDefined();
+    });
+
+    it("should throw error when reading a collection that is not a contract", async () => {
+      await expect(
+        wallet.getTrc721Owner(VALID_ADDRESS, 1)
+      ).rejects.toBeDefined();
+    });
+
+    it("should throw error when transferring with invalid recipient", async () => {
+      await expect(
+        wallet.quoteTransferTrc721({
+          token: VALID_TOKEN,
+          recipient: "invalid_address",
+          tokenId: 1,
+        })
+      ).rejects.toBeDefined();
+    });
+  });
+
+  describe("staking", () => {
+    it("should quote a stake for energy", async () => {
+      const quote = await wallet.quoteFreezeBalance({
+        amount: 1000000,
+        resource: "ENERGY",
+      });
+      expect(quote.hash).toBeNull();
+      expect(quote.resources.bandwidth.required).toBeGreaterThan(0);
+      expect(quote.resources.energy.required).toBe(0);
+    });
+
+    it("should throw error for an invalid resource", async () => {
+      await expect(
+        wallet.quoteFreezeBalance({ amount: 1000000, resource: "STORAGE" })
+      ).rejects.toThrow("Invalid resource");
+    });
+
+    it("should get the pending unstakes", async () => {
+      const pendingUnfreezes = await wallet.getPendingUnfreezes();
+      expect(Array.isArray(pendingUnfreezes)).toBe(true);
+      for (const entry of pendingUnfreezes) {
+        expect(["BANDWIDTH", "ENERGY"]).toContain(entry.resource);
+        expect(typeof entry.withdrawableAt).toBe("number");
+        expect(entry.withdrawable).toBe(entry.withdrawableAt <= Date.now());
+      }
+    });
+  });
+
+  describe("resource delegation", () => {
+    it("should get the delegatable amount", async () => {
+      const amount = await wallet.getDelegatableAmount("ENERGY");
+      expect(typeof amount).toBe("number");
+      expect(amount).toBeGreaterThanOrEqual(0);
+    });
+
+    it("should list the delegated and received resources", async () => {
+      const address = await wallet.getAddress();
+      const delegated = await wallet.getDelegatedResources();
+      const received = await wallet.getReceivedResources();
+      for (const delegation of delegated) {
+        expect(delegation.from).toBe(address);
+      }
+      for (const delegation of received) {
+        expect(delegation.to).toBe(address);
+      }
+    });
+
+    it("should throw error when delegating to itself", async () => {
+      await expect(
+        wallet.quoteDelegateResource({
+          receiver: await wallet.getAddress(),
+          amount: 1000000,
+          resource: "ENERGY",
+        })
+      ).rejects.toMatch("must not be the same as owner address");
+    });
+  });
+
+  describe("voting", () => {
+    it("should get the votes", async () => {
+      const votes = await wallet.getVotes();
+      expect(Array.isArray(votes)).toBe(true);
+      for (const vote of votes) {
+        expect(typeof vote.address).toBe("string");
+        expect(vote.votes).toBeGreaterThan(0);
+      }
+    });
+
+    it("should get the reward balance", async () => {
+      const reward = await wallet.getRewardBalance();
+      expect(typeof reward).toBe("number");
+      expect(reward).toBeGreaterThanOrEqual(0);
+    });
+
+    it("should throw error when voting for an invalid address", async () => {
+      await expect(
+        wallet.quoteVoteWitnesses({ invalid_address: 1 })
+      ).rejects.toThrow("Invalid super representative address");
+    });
+  });
+
+  describe("multi-signature", () => {
+    const buildTransaction = async () => {
+      const tronWeb = new TronWeb({
+        fullHost: NETWORKS[VALID_CONFIG.network].fullNode,
+      });
+      return tronWeb.transactionBuilder.sendTrx(
+        VALID_ADDRESS,
+        1000000,
+        await wallet.getAddress()
+      );
+    };
+
+    it("should append signatures from different accounts", async () => {
+      const cosigner = new WalletAccountTron(VALID_SEED, "0'/1'", VALID_CONFIG);
+      const transaction = await buildTransaction();
+
+      const signedOnce = await wallet.multiSignTransaction(transaction, {
+        permissionId: 2,
+      });
+      const signedTwice = await cosigner.multiSignTransaction(signedOnce, {
+        permissionId: 2,
+      });
+
+      expect(signedOnce.raw_data.contract[0].Permission_id).toBe(2);
+      expect(signedOnce.txID).not.toBe(transaction.txID);
+      expect(signedTwice.txID).toBe(signedOnce.txID);
+      expect(signedTwice.signature).toHaveLength(2);
+      expect(signedTwice.signature[0]).toBe(signedOnce.signature[0]);
+    });
+
+    it("should throw error when signing twice with the same account", async () => {
+      const signed = await wallet.multiSignTransaction(
+        await buildTransaction()
+      );
+      await expect(wallet.multiSignTransaction(signed)).rejects.toThrow(
+        "already been signed"
+      );
+    });
+
+    it("should throw error when the account's signature was made with another nonce", async () => {
+      const offlineWallet = new WalletAccountTron(VALID_SEED, VALID_PATH);
+      const rawDataHex = "0a0200";
+      const txID = getTransactionId(rawDataHex);
+
+      // Signers might use random nonces, so that signing twice yields different signatures
+      const existingSignature = secp256k1.sign(
+        txID,
+        new Uint8Array(offlineWallet.keyPair.privateKey),
+        { extraEntropy: true }
+      );
+      const transaction = {
+        txID,
+        raw_data_hex: rawDataHex,
+        signature: [
+          existingSignature.toCompactHex() +
+            (existingSignature.recovery ? "1c" : "1b"),
+        ],
+      };
+
+      await expect(
+        offlineWallet.multiSignTransaction(transaction)
+      ).rejects.toThrow("already been signed");
+
+      const cosigner = new WalletAccountTron(VALID_SEED, "0'/1'");
+      const signed = await cosigner.multiSignTransaction(transaction);
+      expect(signed.signature).toHaveLength(2);
+    });
+
+    it("should throw error when changing the permission of a signed transaction", async () => {
+      const signed = await wallet.multiSignTransaction(
+        await buildTransaction()
+      );
+      await expect(
+        wallet.multiSignTransaction(signed, { permissionId: 2 })
+      ).rejects.toThrow("can't be changed");
+    });
+
+    it("should throw error when updating permissions without an active permission", async () => {
+      await expect(
+        wallet.quoteUpdateAccountPermissions({
+          owner: {
+            threshold: 1,
+            keys: [{ address: VALID_ADDRESS, weight: 1 }],
+          },
+          actives: [],
+        })
+      ).rejects.toThrow("at least one active permission");
+    });
+  });
+
+  describe("offline signing", () => {
+    it("should sign a transaction built online with an offline account", async () => {
+      const offlineWallet = new WalletAccountTron(VALID_SEED, VALID_PATH);
+      const transaction = await wallet.buildSendTransaction({
+        to: VALID_ADDRESS,
+        value: 1000000,
+      });
+
+      const signed = await offlineWallet.signTransaction(
+        serializeTransaction(transaction)
+      );
+
+      expect(signed.txID).toBe(transaction.txID);
+      expect(signed.signature).toHaveLength(1);
+      expect(transaction.signature).toBeUndefined();
+    });
+
+    it("should round trip a signed transaction through the hex format", async () => {
+      const transaction = await wallet.buildSendTransaction({
+        to: VALID_ADDRESS,
+        value: 1000000,
+      });
+      const signed = await wallet.signTransaction(transaction);
+
+      const deserialized = deserializeTransaction(
+        serializeTransaction(signed, "hex")
+      );
+
+      expect(deserialized.txID).toBe(signed.txID);
+      expect(deserialized.raw_data_hex).toBe(signed.raw_data_hex);
+      expect(deserialized.signature[0]).toBe(
+        signed.signature[0].replace(/^0x/, "")
+      );
+    });
+
+    it("should throw error when the transaction id does not match its raw data", async () => {
+      const transaction = await wallet.buildSendTransaction({
+        to: VALID_ADDRESS,
+        value: 1000000,
+      });
+      transaction.raw_data.contract[0].parameter.value.amount = 2000000;
+
+      await expect(wallet.signTransaction(transaction)).rejects.toThrow(
+        "does not match its raw data"
+      );
+    });
+  });
+
+  describe("transaction receipts", () => {
+    const UNKNOWN_HASH = "0".repeat(64);
+
+    it("should return null for a transaction not included in a block", async () => {
+      const receipt = await wallet.getTransactionReceipt(UNKNOWN_HASH);
+      expect(receipt).toBeNull();
+    });
+
+    it("should throw error when the transaction is not confirmed in time", async () => {
+      await expect(
+        wallet.waitForTransaction(UNKNOWN_HASH, { timeout: 1000 })
+      ).rejects.toThrow("Timed out waiting for transaction");
+    });
+  });
+
+  describe("history", () => {
+    it("should return a page of transactions", async () => {
+      const { records, cursor } = await wallet.getTransactionHistory({
+        limit: 5,
+      });
+
+      expect(records.length).toBeLessThanOrEqual(5);
+      expect(cursor === null || typeof cursor === "string").toBe(true);
+      records.forEach((record) => {
+        expect(record).toHaveProperty("hash");
+        expect(record).toHaveProperty("timestamp");
+        expect(record).toHaveProperty("status");
+      });
+    });
+
+    it("should return a page of token transfers", async () => {
+      const { records } = await wallet.getTokenTransferHistory(VALID_TOKEN, {
+        limit: 5,
+        direction: "in",
+      });
+
+      const address = await wallet.getAddress();
+      records.forEach((record) => {
+        expect(record.to).toBe(address);
+        expect(record.token).toBe(VALID_TOKEN);
+      });
+    });
+
+    it("should throw error for an invalid direction", async () => {
+      await expect(
+        wallet.getTransactionHistory({ direction: "sideways" })
+      ).rejects.toThrow("Invalid history direction");
+    });
+  });
+
+  describe("external signer", () => {
+    let signerAccount;
+
+    beforeEach(() => {
+      // Stands in for a remote signing service, with asynchronous calls
+      const localSigner = new LocalSigner(
+        new Uint8Array(wallet.keyPair.privateKey)
+      );
+      const signer = {
+        getPublicKey: async () => localSigner.getPublicKey(),
+        signDigest: async (digest) => localSigner.signDigest(digest),
+      };
+
+      signerAccount = new WalletAccountTron(signer, VALID_CONFIG);
+    });
+
+    it("should have the signer's address", async () => {
+      expect(await signerAccount.getAddress()).toBe(wallet.address);
+      expect(signerAccount.keyPair.privateKey).toBeNull();
+    });
+
+    it("should sign messages through the signer", async () => {
+      const signature = await signerAccount.sign("Hello, Tron!");
+      expect(signature).toBe(await wallet.sign("Hello, Tron!"));
+    });
+
+    it("should sign transactions through the signer", async () => {
+      const transaction = await wallet.buildSendTransaction({
+        to: VALID_ADDRESS,
+        value: 1000000,
+      });
+
+      const signed = await signerAccount.signTransaction(transaction);
+      expect(signed.signature).toEqual(
+        (await wallet.signTransaction(transaction)).signature
+      );
+    });
+
+    it("should throw error when the signer's signature doesn't match its public key", async () => {
+      const otherAccount = new WalletAccountTron(VALID_SEED, "0'/1'");
+      const otherSigner = new LocalSigner(
+        new Uint8Array(otherAccount.keyPair.privateKey)
+      );
+      const signer = {
+        getPublicKey: () => wallet.keyPair.publicKey,
+        signDigest: (digest) => otherSigner.signDigest(digest),
+      };
+
+      await expect(
+        new WalletAccountTron(signer).sign("Hello, Tron!")
+      ).rejects.toThrow("doesn't match the account's public key");
+    });
+  });
+
+  describe("private key and keystore", () => {
+    it("should create an account from a raw private key", () => {
+      const { privateKey } = wallet.keyPair;
+
+      const account = WalletAccountTron.fromPrivateKey(
+        privateKey,
+        VALID_CONFIG
+      );
+      const hexAccount = WalletAccountTron.fromPrivateKey(
+        Buffer.from(privateKey).toString("hex")
+      );
+
+      expect(account.address).toBe(wallet.address);
+      expect(hexAccount.address).toBe(wallet.address);
+      expect(account.path).toBeUndefined();
+    });
+
+    it("should export and import a keystore", async () => {
+      const keystore = await wallet.exportKeystore("password", { n: 1024 });
+      expect(keystore.version).toBe(3);
+
+      const account = await WalletAccountTron.fromKeystore(
+        JSON.stringify(keystore),
+        "password",
+        VALID_CONFIG
+      );
+      expect(account.address).toBe(wallet.address);
+    });
+
+    it("should throw error for a wrong keystore password", async () => {
+      const keystore = await wallet.exportKeystore("password", { n: 1024 });
+      await expect(
+        WalletAccountTron.fromKeystore(keystore, "wrong password")
+      ).rejects.toThrow("Invalid keystore password");
+    });
+
+    it("should throw error for a keystore with costlier scrypt parameters than supported", async () => {
+      const keystore = await wallet.exportKeystore("password", { n: 1024 });
+      keystore.crypto.kdfparams.n = 2 ** 20;
+
+      await expect(
+        WalletAccountTron.fromKeystore(keystore, "password")
+      ).rejects.toThrow("Unsupported keystore scrypt parameters");
+    });
+
+    it("should throw error for an invalid private key", () => {
+      expect(() => WalletAccountTron.fromPrivateKey("00".repeat(32))).toThrow(
+        "Invalid private key"
+      );
+    });
+
+    it("should wipe the imported private key on dispose", () => {
+      const account = WalletAccountTron.fromPrivateKey(
+        wallet.keyPair.privateKey
+      );
+      const { privateKey } = account.keyPair;
+
+      account.dispose();
+
+      expect(privateKey.every((byte) => byte === 0)).toBe(true);
+    });
+  });
+
+  describe("read-only account", () => {
+    let readOnlyAccount;
+
+    beforeEach(() => {
+      readOnlyAccount = new WalletAccountReadOnlyTron(
+        wallet.address,
+        VALID_CONFIG
+      );
+    });
+
+    it("should have the address it was created with", async () => {
+      expect(readOnlyAccount.isReadOnly).toBe(true);
+      expect(await readOnlyAccount.getAddress()).toBe(wallet.address);
+    });
+
+    it("should read balances and quote transfers", async () => {
+      const balance = await readOnlyAccount.getBalance();
+      expect(balance).toBe(await wallet.getBalance());
+
+      const quote = await readOnlyAccount.quoteSendTransaction({
+        to: VALID_ADDRESS,
+        value: 1000000,
+      });
+      expect(quote.fee).toBeGreaterThanOrEqual(0);
+    });
+
+    it("should build unsigned transactions the key holder can sign", async () => {
+      const transaction = await readOnlyAccount.buildSendTransaction({
+        to: VALID_ADDRESS,
+        value: 1000000,
+      });
+
+      const signed = await wallet.signTransaction(transaction);
+      expect(signed.signature).toHaveLength(1);
+    });
+
+    it("should throw error on signing operations", async () => {
+      await expect(readOnlyAccount.sign("message")).rejects.toThrow(
+        "read-only"
+      );
+      await expect(
+        readOnlyAccount.sendTransaction({ to: VALID_ADDRESS, value: 1000000 })
+      ).rejects.toThrow("read-only");
+      await expect(
+        readOnlyAccount.transfer({
+          recipient: VALID_ADDRESS,
+          token: VALID_TOKEN,
+          amount: 1000000,
+        })
+      ).rejects.toThrow("read-only");
+      await expect(
+        readOnlyAccount.freezeBalance({ amount: 1000000, resource: "ENERGY" })
+      ).rejects.toThrow("read-only");
+      await expect(
+        readOnlyAccount.sendBatch([
+          { recipient: VALID_ADDRESS, amount: 1000000 },
+        ])
+      ).rejects.toThrow("read-only");
+      expect(() => readOnlyAccount.keyPair).toThrow("read-only");
+    });
+
+    it("should throw error for an invalid address", () => {
+      expect(() => new WalletAccountReadOnlyTron("invalid")).toThrow(
+        "Invalid address"
+      );
+    });
+  });
+
+  describe("fee limits", () => {
+    const transferOptions = {
+      recipient: VALID_ADDRESS,
+      token: VALID_TOKEN,
+      amount: 1000000,
+    };
+
+    it("should set the fee limit from the energy estimate in auto mode", async () => {
+      const { resources } = await wallet.quoteTransfer(transferOptions);
+      const transaction = await wallet.buildTransfer(transferOptions);
+
+      expect(transaction.raw_data.fee_limit).toBeGreaterThanOrEqual(
+        resources.energy.cost
+      );
+      expect(transaction.raw_data.fee_limit).toBeLessThan(1_000_000_000);
+    });
+
+    it("should use the given fee limit", async () => {
+      const transaction = await wallet.buildTransfer({
+        ...transferOptions,
+        feeLimit: 100_000_000,
+      });
+
+      expect(transaction.raw_data.fee_limit).toBe(100_000_000);
+    });
+
+    it("should throw error when the fee limit is below the energy cost", async () => {
+      await expect(
+        wallet.quoteTransfer({ ...transferOptions, feeLimit: 1 })
+      ).rejects.toThrow("is below the estimated energy cost");
+    });
+
+    it("should refuse to send transactions over the maximum fee", async () => {
+      const account = new WalletAccountTron(VALID_SEED, VALID_PATH, {
+        ...VALID_CONFIG,
+        maxFee: 1,
+      });
+
+      await expect(account.transfer(transferOptions)).rejects.toThrow(
+        "exceeds the maximum fee of 1 sun"
+      );
+    });
+
+    it("should throw error in auto mode when the energy estimate is zero", async () => {
+      // A node whose energy estimates are always zero
+      const server = http.createServer((req, res) => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(
+          JSON.stringify({ result: { result: true }, energy_required: 0 })
+        );
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const account = new WalletAccountTron(VALID_SEED, VALID_PATH, {
+          rpcUrl: `http://127.0.0.1:${server.address().port}`,
+        });
+
+        await expect(account.quoteTransfer(transferOptions)).rejects.toThrow(
+          "The energy of the call couldn't be estimated"
+        );
+      } finally {
+        server.close();
+      }
+    });
+
+    it("should throw error for an invalid fee limit", () => {
+      expect(
+        () =>
+          new WalletAccountTron(VALID_SEED, VALID_PATH, {
+            ...VALID_CONFIG,
+            feeLimit: -1,
+          })
+      ).toThrow("Invalid fee limit");
+    });
+  });
+
+  describe("batch payments", () => {
+    const items = [
+      { id: "payout-1", recipient: VALID_ADDRESS, amount: 1000000 },
+      {
+        id: "payout-2",
+        recipient: VALID_ADDRESS,
+        amount: 1000000,
+        token: VALID_TOKEN,
+      },
+    ];
+
+    it("should quote the total costs of a batch", async () => {
+      const quote = await wallet.quoteSendBatch(items);
+      const trxQuote = await wallet.quoteSendTransaction({
+        to: VALID_ADDRESS,
+        value: 1000000,
+      });
+      const tokenQuote = await wallet.quoteTransfer(items[1]);
+
+      expect(quote.hash).toBeNull();
+      expect(quote.resources.bandwidth.required).toBe(
+        trxQuote.resources.bandwidth.required +
+          tokenQuote.resources.bandwidth.required
+      );
+      expect(quote.fee).toBeGreaterThanOrEqual(trxQuote.fee + tokenQuote.fee);
+    });
+
+    it("should not send anything if the balance doesn't cover the batch", async () => {
+      const results = [];
+
+      await expect(
+        wallet.sendBatch(
+          [{ id: "payout-1", recipient: VALID_ADDRESS, amount: 10 ** 15 }],
+          { onResult: (result) => results.push(result) }
+        )
+      ).rejects.toThrow();
+      expect(results).toHaveLength(0);
+    });
+
+    it("should skip the completed payments", async () => {
+      const { fee, results } = await wallet.sendBatch(items, {
+        completed: ["payout-1", "payout-2"],
+      });
+
+      expect(fee).toBe(0);
+      expect(results.map(({ status }) => status)).toEqual([
+        "skipped",
+        "skipped",
+      ]);
+    });
+
+    it("should report every result even if the callback throws", async () => {
+      const reported = [];
+
+      const { results } = await wallet.sendBatch(items, {
+        completed: ["payout-1", "payout-2"],
+        onResult: ({ id }) => {
+          reported.push(id);
+          throw new Error("Failed to persist the result");
+        },
+      });
+
+      expect(reported).toEqual(["payout-1", "payout-2"]);
+      expect(results).toHaveLength(2);
+    });
+
+    it("should throw error for duplicate payment ids", async () => {
+      await expect(
+        wallet.sendBatch([items[0], { ...items[1], id: "payout-1" }])
+      ).rejects.toThrow("Duplicate payment id in the batch: payout-1");
+    });
+  });
+
+  describe("smart contracts", () => {
+    const TRC20_ABI = [
+      {
+        type: "function",
+        name: "decimals",
+        stateMutability: "view",
+        inputs: [],
+        outputs: [{ type: "uint8" }],
+      },
+      {
+        type: "function",
+        name: "transfer",
+        stateMutability: "nonpayable",
+        inputs: [
+          { name: "to", type: "address" },
+          { name: "value", type: "uint256" },
+        ],
+        outputs: [{ type: "bool" }],
+      },
+    ];
+
+    it("should read a contract by signature", async () => {
+      const [balance] = await wallet.readContract({
+        address: VALID_TOKEN,
+        signature: "balanceOf(address) view returns (uint256)",
+        args: [wallet.address],
+      });
+
+      expect(typeof balance).toBe("bigint");
+      expect(Number(balance)).toBe(await wallet.getTokenBalance(VALID_TOKEN));
+    });
+
+    it("should read a contract by abi", async () => {
+      const [decimals] = await wallet.readContract({
+        address: VALID_TOKEN,
+        abi: TRC20_ABI,
+        method: "decimals",
+      });
+
+      expect(decimals).toBe(6n);
+    });
+
+    it("should quote a contract call", async () => {
+      const { hash, fee, resources } = await wallet.quoteWriteContract({
+        address: VALID_TOKEN,
+        abi: TRC20_ABI,
+        method: "transfer",
+        args: [VALID_ADDRESS, 1],
+      });
+
+      expect(hash).toBeNull();
+      expect(fee).toBeGreaterThanOrEqual(0);
+      expect(resources.energy.required).toBeGreaterThan(0);
+    });
+
+    it("should throw error with the revert reason for reverting calls", async () => {
+      await expect(
+        wallet.writeContract({
+          address: VALID_TOKEN,
+          abi: TRC20_ABI,
+          method: "transfer",
+          args: [VALID_ADDRESS, 2n ** 255n],
+        })
+      ).rejects.toThrow("Contract call to transfer(address,uint256) reverted");
+    });
+
+    it("should throw error when sending trx to a non-payable function", async () => {
+      await expect(
+        wallet.quoteWriteContract({
+          address: VALID_TOKEN,
+          abi: TRC20_ABI,
+          method: "transfer",
+          args: [VALID_ADDRESS, 1],
+          callValue: 1000000,
+        })
+      ).rejects.toThrow("is not payable");
+    });
+
+    it("should throw error for a function missing from the abi", async () => {
+      await expect(
+        wallet.readContract({
+          address: VALID_TOKEN,
+          abi: TRC20_ABI,
+          method: "totalSupply",
+        })
+      ).rejects.toThrow("not found in the contract's abi");
+    });
+  });
+
   describe("dispose", () => {
     it("should dispose wallet and clear sensitive data", () => {
       const walletToDispose = new WalletAccountTron(
@@ -281,5 +1257,21 @@ describe("WalletAccountTron", () => {
       expect(newWallet).toBeDefined();
       expect(newWallet).toBeInstanceOf(WalletAccountTron);
     });
+
+    it("should throw when signing after disposal", async () => {
+      const walletToDispose = new WalletAccountTron(
+        VALID_SEED,
+        VALID_PATH,
+        VALID_CONFIG
+      );
+      walletToDispose.dispose();
+
+      await expect(walletToDispose.sign("Hello, world!")).rejects.toThrow(
+        "The account has been disposed"
+      );
+      await expect(
+        walletToDispose.signTransaction({ txID: "00", raw_data_hex: "00" })
+      ).rejects.toThrow("The account has been disposed");
+    });
   });
 });
@@ -1,13 +1,20 @@
+import TronWeb from "tronweb";
 import WalletManagerTron from "../src/wallet-manager-tron.js";
+import WalletAccountReadOnlyTron from "../src/wallet-account-read-only-tron.js";
+import WalletAccountTron from "../src/wallet-account-tron.js";
+import { LocalSigner } from "../src/signer/local-signer.js";
+import { NETWORKS } from "../src/networks.js";
+import { FailoverProvider } from "../src/provider.js";
+import http from "http";
 
 describe("WalletManagerTron", () => {
   let walletManager;
   const testSeedPhrase =
     "between oval abandon quantum heavy stable guess limb ring hobby surround wall";
   const testConfig = {
-    // rpcUrl: "https://api.trongrid.io", // Mainnet
-    // rpcUrl: 'https://api.shasta.trongrid.io' // Testnet
-    rpcUrl: "https://nile.trongrid.io", // Nile testnet
+    // network: "mainnet",
+    // network: "shasta",
+    network: "nile",
   };
 
   beforeEach(async () => {
@@ -58,13 +65,206 @@ describe("WalletManagerTron", () => {
     });
   });
 
+  describe("account discovery", () => {
+    it("should return the used accounts with their balances", async () => {
+      const accounts = await walletManager.discoverAccounts({
+        gapLimit: 2,
+        maxAccounts: 5,
+      });
+
+      expect(accounts.length).toBeLessThanOrEqual(5);
+      accounts.forEach(({ index, address, account, balance }) => {
+        expect(account.path).toBe(`m/44'/195'/0'/0/${index}`);
+        expect(account.address).toBe(address);
+        expect(balance).toBeGreaterThanOrEqual(0);
+      });
+    });
+
+    it("should find the addresses holding tokens without being activated", async () => {
+      const token = NETWORKS[testConfig.network].tokens.USDT.address;
+      const holder = (await walletManager.getAccount(1)).address;
+
+      // A node where no account is activated, and the second address holds 5 tokens
+      const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          let response = {};
+
+          if (req.url.startsWith("/v1/accounts/")) {
+            response = { success: true, data: [] };
+          } else if (req.url.includes("getcontract")) {
+            response = {
+              contract_address: TronWeb.address.toHex(token),
+              abi: { entrys: [] },
+            };
+          } else if (req.url.includes("triggerconstantcontract")) {
+            const { owner_address: ownerAddress } = JSON.parse(body);
+            const balance =
+              ownerAddress.toLowerCase() ===
+              TronWeb.address.toHex(holder).toLowerCase()
+                ? 5
+                : 0;
+
+            response = {
+              result: { result: true },
+              constant_result: [balance.toString(16).padStart(64, "0")],
+            };
+          }
+
+          res.setHeader("Content-Type", "application/json");
+          res.end(JSON.stringify(response));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const walletManagerWithMockNode = new WalletManagerTron(
+          testSeedPhrase,
+          {
+            network: {
+              fullNode: `http://127.0.0.1:${server.address().port}`,
+              tokens: NETWORKS[testConfig.network].tokens,
+            },
+          }
+        );
+
+        const accounts = await walletManagerWithMockNode.discoverAccounts({
+          gapLimit: 2,
+        });
+
+        expect(accounts).toHaveLength(1);
+        expect(accounts[0]).toMatchObject({
+          index: 1,
+          address: holder,
+          isActivated: false,
+          balance: 0,
+          tokenBalances: { [token]: 5 },
+        });
+      } finally {
+        server.close();
+      }
+    });
+
+    it("should throw error for an invalid gap limit", async () => {
+      await expect(
+        walletManager.discoverAccounts({ gapLimit: 0 })
+      ).rejects.toThrow("positive integer");
+    });
+  });
+
+  describe("extended public key", () => {
+    it("should export the account-level extended public key", async () => {
+      const xpub = await walletManager.getExtendedPublicKey();
+      expect(xpub.startsWith("xpub")).toBe(true);
+    });
+
+    it("should derive the same addresses as the seed holder", async () => {
+      const xpub = await walletManager.getExtendedPublicKey();
+
+      for (const index of [0, 1, 25]) {
+        const account = await walletManager.getAccount(index);
+        const readOnlyAccount = WalletAccountReadOnlyTron.fromExtendedPublicKey(
+          xpub,
+          index
+        );
+
+        expect(readOnlyAccount.address).toBe(account.address);
+        expect(readOnlyAccount.path).toBe(account.path);
+      }
+    });
+
+    it("should throw error for an invalid extended public key", async () => {
+      const xpub = await walletManager.getExtendedPublicKey();
+      expect(() =>
+        WalletAccountReadOnlyTron.fromExtendedPublicKey(xpub.slice(0, -1) + "1")
+      ).toThrow("Invalid extended public key");
+    });
+  });
+
   describe("fee rates", () => {
     it("should get the fee rates", async () => {
       const feeRates = await walletManager.getFeeRates();
-      expect(feeRates).toBeDefined();
-      expect(feeRates.normal).toBeGreaterThan(0);
-      expect(feeRates.fast).toBeGreaterThan(0);
-      expect(feeRates.fast).toBeGreaterThan(feeRates.normal);
+      expect(feeRates.bandwidthPrice).toBeGreaterThan(0);
+      expect(feeRates.energyPrice).toBeGreaterThan(0);
+      expect(feeRates.accountCreationFee).toBeGreaterThan(0);
+      expect(feeRates.systemContractAccountCreationFee).toBeGreaterThan(0);
+      expect(feeRates.memoFee).toBeGreaterThanOrEqual(0);
+      expect(feeRates.energyFactor).toBeUndefined();
+    });
+
+    it("should get the dynamic energy factor of a contract", async () => {
+      const feeRates = await walletManager.getFeeRates("USDT");
+      expect(feeRates.energyFactor).toBeGreaterThanOrEqual(1);
+
+      const { energyFactor } = await walletManager.getFeeRates(
+        NETWORKS[testConfig.network].tokens.USDT.address
+      );
+      expect(energyFactor).toBe(feeRates.energyFactor);
+    });
+
+    it("should throw error for an unknown contract symbol", async () => {
+      await expect(walletManager.getFeeRates("UNKNOWN")).rejects.toThrow(
+        "Unknown token: UNKNOWN"
+      );
+    });
+
+    it("should share the fee rates cache with its accounts", async () => {
+      let chainParametersRequests = 0;
+
+      const server = http.createServer((req, res) => {
+        const isChainParametersRequest = req.url.includes("getchainparameters");
+
+        if (isChainParametersRequest) {
+          chainParametersRequests++;
+        }
+
+        res.setHeader("Content-Type", "application/json");
+        res.end(
+          JSON.stringify(
+            isChainParametersRequest
+              ? { chainParameter: [{ key: "getEnergyFee", value: 420 }] }
+              : { result: { result: true }, energy_required: 30000 }
+          )
+        );
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const walletManagerWithMockNode = new WalletManagerTron(
+          testSeedPhrase,
+          { rpcUrl: `http://127.0.0.1:${server.address().port}` }
+        );
+
+        await walletManagerWithMockNode.getFeeRates();
+
+        for (const index of [0, 1]) {
+          const account = await walletManagerWithMockNode.getAccount(index);
+
+          await expect(
+            account.quoteTransfer({
+              recipient: "TWcBKmZpttULdr9qN4ktr6YZG7YUSZizjh",
+              token: NETWORKS[testConfig.network].tokens.USDT.address,
+              amount: 1,
+              feeLimit: 1,
+            })
+          ).rejects.toThrow("is below the estimated energy cost");
+        }
+
+        expect(chainParametersRequests).toBe(1);
+      } finally {
+        server.close();
+      }
+    });
+
+    it("should throw error for an invalid fee rates ttl", () => {
+      expect(
+        () =>
+          new WalletManagerTron(testSeedPhrase, {
+            ...testConfig,
+            feeRatesTtl: -1,
+          })
+      ).toThrow("Invalid fee rates ttl: -1");
     });
 
     it("should handle RPC errors gracefully", async () => {
@@ -78,6 +278,384 @@ describe("WalletManagerTron", () => {
     });
   });
 
+  describe("providers", () => {
+    it("should fail over to the next rpc url", async () => {
+      const walletManagerWithFailover = new WalletManagerTron(testSeedPhrase, {
+        rpcUrl: [
+          "https://invalid-rpc-url.com",
+          NETWORKS[testConfig.network].fullNode,
+        ],
+        retries: 0,
+      });
+
+      const feeRates = await walletManagerWithFailover.getFeeRates();
+      expect(feeRates.energyPrice).toBeGreaterThan(0);
+
+      const account = await walletManagerWithFailover.getAccount(0);
+      expect(typeof (await account.getBalance())).toBe("number");
+    });
+
+    it("should fail over without retrying when the host name can't be resolved", async () => {
+      const server = http.createServer((req, res) => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ blockID: "00" }));
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const provider = new FailoverProvider(
+          [
+            "http://unresolvable-rpc-url.invalid",
+            `http://127.0.0.1:${server.address().port}`,
+          ],
+          { retries: 2 }
+        );
+
+        const startedAt = Date.now();
+        const block = await provider.request("wallet/getnowblock");
+
+        expect(block.blockID).toBe("00");
+        // Retrying on the first endpoint would have waited 1.5 seconds
+        expect(Date.now() - startedAt).toBeLessThan(1500);
+      } finally {
+        server.close();
+      }
+    });
+
+    it("should check the network of a fallback endpoint before using it", async () => {
+      let isPreferredDown = false;
+
+      // Two nodes serving the genesis blocks of different networks
+      const createNode = (genesisBlockId, isDown) =>
+        http.createServer((req, res) => {
+          if (isDown()) {
+            res.statusCode = 503;
+            return res.end();
+          }
+
+          res.setHeader("Content-Type", "application/json");
+          res.end(
+            JSON.stringify(
+              req.url.includes("getblockbynum")
+                ? { blockID: genesisBlockId }
+                : {}
+            )
+          );
+        });
+
+      const preferred = createNode(
+        NETWORKS.nile.genesisBlockId,
+        () => isPreferredDown
+      );
+      const fallback = createNode(NETWORKS.mainnet.genesisBlockId, () => false);
+
+      for (const server of [preferred, fallback]) {
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      }
+
+      try {
+        const provider = new FailoverProvider(
+          [preferred, fallback].map(
+            (server) => `http://127.0.0.1:${server.address().port}`
+          ),
+          { retries: 0, network: { ...NETWORKS.nile, name: "nile" } }
+        );
+
+        await provider.request("wallet/getnowblock");
+
+        isPreferredDown = true;
+
+        await expect(provider.request("wallet/getnowblock")).rejects.toThrow(
+          "The node is not connected to the nile network"
+        );
+      } finally {
+        preferred.close();
+        fallback.close();
+      }
+    });
+
+    it("should throw error for an invalid number of retries", () => {
+      expect(
+        () =>
+          new WalletManagerTron(testSeedPhrase, { ...testConfig, retries: -1 })
+      ).toThrow("The number of retries must be a non-negative integer");
+    });
+  });
+
+  describe("super representatives", () => {
+    it("should list the super representatives with their brokerage", async () => {
+      const superRepresentatives =
+        await walletManager.getSuperRepresentatives();
+      expect(superRepresentatives.length).toBeGreaterThan(0);
+      expect(superRepresentatives.length).toBeLessThanOrEqual(27);
+      for (const sr of superRepresentatives) {
+        expect(typeof sr.address).toBe("string");
+        expect(sr.brokerage).toBeGreaterThanOrEqual(0);
+        expect(sr.brokerage).toBeLessThanOrEqual(100);
+      }
+    });
+
+    it("should sort the super representatives by votes", async () => {
+      const superRepresentatives = await walletManager.getSuperRepresentatives(
+        5
+      );
+      expect(superRepresentatives.length).toBeLessThanOrEqual(5);
+      for (let i = 1; i < superRepresentatives.length; i++) {
+        expect(superRepresentatives[i - 1].votes).toBeGreaterThanOrEqual(
+          superRepresentatives[i].votes
+        );
+      }
+    });
+  });
+
+  describe("payment watcher", () => {
+    it("should process confirmed blocks and report checkpoints", async () => {
+      // A node whose head is block 12
+      const blocks = [10, 11, 12].map((number) => ({
+        blockID: number.toString(16),
+        block_header: {
+          raw_data: { number, timestamp: 1700000000000 + number * 3000 },
+        },
+        transactions: [],
+      }));
+
+      const server = http.createServer((req, res) => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(
+          JSON.stringify(
+            req.url.includes("getblockbylimitnext")
+              ? { block: blocks }
+              : blocks[2]
+          )
+        );
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      const walletManagerWithMockNode = new WalletManagerTron(testSeedPhrase, {
+        rpcUrl: `http://127.0.0.1:${server.address().port}`,
+      });
+      const watcher = walletManagerWithMockNode.createPaymentWatcher({
+        accounts: ["TWcBKmZpttULdr9qN4ktr6YZG7YUSZizjh"],
+        confirmations: 1,
+        lastBlock: 9,
+      });
+
+      try {
+        const checkpoints = [];
+        const done = new Promise((resolve, reject) => {
+          watcher.on("checkpoint", (blockNumber) => {
+            checkpoints.push(blockNumber);
+            if (blockNumber === 12) resolve();
+          });
+          watcher.once("error", reject);
+        });
+        watcher.start();
+
+        await done;
+
+        expect(checkpoints).toEqual([10, 11, 12]);
+        expect(watcher.lastBlock).toBe(12);
+      } finally {
+        await watcher.stop();
+        server.close();
+      }
+
+      expect(watcher.isRunning).toBe(false);
+    });
+
+    it("should drop the poll in progress when restarted", async () => {
+      // A node whose block 10 holds a payment of 1 trx to the account
+      const address = "TWcBKmZpttULdr9qN4ktr6YZG7YUSZizjh";
+      const block = {
+        blockID: "0a",
+        block_header: { raw_data: { number: 10, timestamp: 1700000000000 } },
+        transactions: [
+          {
+            txID: "aa",
+            raw_data: {
+              contract: [
+                {
+                  type: "TransferContract",
+                  parameter: {
+                    value: {
+                      owner_address: TronWeb.address.toHex(
+                        "TNPeeaaFB7K9cmo4uQpcU32zGK8G1NYqeL"
+                      ),
+                      to_address: TronWeb.address.toHex(address),
+                      amount: 1000000,
+                    },
+                  },
+                },
+              ],
+            },
+            ret: [{ contractRet: "SUCCESS" }],
+          },
+        ],
+      };
+
+      // The first block range request is held until the restarted watcher has processed the block and polls again
+      let firstRangeResponse;
+      let isBlockProcessed = false;
+      let blockRequests = 0;
+      let laterPolls;
+      const laterPollsReceived = new Promise((resolve) => {
+        laterPolls = resolve;
+      });
+      let firstRangeRequest;
+      const firstRangeRequestReceived = new Promise((resolve) => {
+        firstRangeRequest = resolve;
+      });
+
+      const server = http.createServer((req, res) => {
+        res.setHeader("Content-Type", "application/json");
+
+        if (!req.url.includes("getblockbylimitnext")) {
+          if (++blockRequests === 6) laterPolls();
+          if (isBlockProcessed && !firstRangeResponse.writableEnded) {
+            firstRangeResponse.end(JSON.stringify({ block: [block] }));
+          }
+          res.end(JSON.stringify(block));
+          return;
+        }
+
+        if (firstRangeResponse) {
+          res.end(JSON.stringify({ block: [block] }));
+        } else {
+          firstRangeResponse = res;
+          firstRangeRequest();
+        }
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      const walletManagerWithMockNode = new WalletManagerTron(testSeedPhrase, {
+        rpcUrl: `http://127.0.0.1:${server.address().port}`,
+      });
+      const watcher = walletManagerWithMockNode.createPaymentWatcher({
+        accounts: [address],
+        confirmations: 1,
+        pollingInterval: 10,
+        lastBlock: 9,
+      });
+
+      const payments = [];
+      const errors = [];
+      watcher.on("payment", (payment) => payments.push(payment));
+      watcher.on("error", (error) => errors.push(error));
+
+      try {
+        const checkpoint = new Promise((resolve) => {
+          watcher.once("checkpoint", resolve);
+        });
+        watcher.start();
+
+        await firstRangeRequestReceived;
+
+        const stopping = watcher.stop();
+        watcher.start();
+
+        expect(await checkpoint).toBe(10);
+
+        isBlockProcessed = true;
+        await stopping;
+
+        // Lets the polls in progress settle
+        await laterPollsReceived;
+      } finally {
+        await watcher.stop();
+        server.close();
+      }
+
+      expect(payments.map(({ id }) => id)).toEqual(["aa:0"]);
+      expect(errors).toEqual([]);
+    });
+
+    it("should report the payments to accounts backed by an asynchronous signer", async () => {
+      const account = await walletManager.getAccount(0);
+
+      // Stands in for a remote signing service, with asynchronous calls
+      const localSigner = new LocalSigner(
+        new Uint8Array(account.keyPair.privateKey)
+      );
+      const signer = {
+        getPublicKey: async () => localSigner.getPublicKey(),
+        signDigest: async (digest) => localSigner.signDigest(digest),
+      };
+
+      // A node whose block 10 holds a payment of 1 trx to the account
+      const block = {
+        blockID: "0a",
+        block_header: { raw_data: { number: 10, timestamp: 1700000000000 } },
+        transactions: [
+          {
+            txID: "aa",
+            raw_data: {
+              contract: [
+                {
+                  type: "TransferContract",
+                  parameter: {
+                    value: {
+                      owner_address: TronWeb.address.toHex(
+                        "TWcBKmZpttULdr9qN4ktr6YZG7YUSZizjh"
+                      ),
+                      to_address: TronWeb.address.toHex(account.address),
+                      amount: 1000000,
+                    },
+                  },
+                },
+              ],
+            },
+            ret: [{ contractRet: "SUCCESS" }],
+          },
+        ],
+      };
+
+      const server = http.createServer((req, res) => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(
+          JSON.stringify(
+            req.url.includes("getblockbylimitnext") ? { block: [block] } : block
+          )
+        );
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const walletManagerWithMockNode = new WalletManagerTron(
+          testSeedPhrase,
+          { rpcUrl: `http://127.0.0.1:${server.address().port}` }
+        );
+        // The account's address isn't known yet when the watcher is created
+        const watcher = walletManagerWithMockNode.createPaymentWatcher({
+          accounts: [new WalletAccountTron(signer)],
+          confirmations: 1,
+          lastBlock: 9,
+        });
+
+        const payment = new Promise((resolve, reject) => {
+          watcher.once("payment", resolve);
+          watcher.once("error", reject);
+        });
+        watcher.start();
+
+        expect(await payment).toMatchObject({
+          id: "aa:0",
+          to: account.address,
+          amount: 1000000,
+        });
+
+        await watcher.stop();
+      } finally {
+        server.close();
+      }
+    });
+
+    it("should throw error for an invalid number of confirmations", () => {
+      expect(() =>
+        walletManager.createPaymentWatcher({ confirmations: 0 })
+      ).toThrow("positive integer");
+    });
+  });
+
   describe("dispose", () => {
     it("should dispose all accounts and clear sensitive data", async () => {
       // Create some accounts
@@ -91,8 +669,8 @@ describe("WalletManagerTron", () => {
       // Get fee rates before disposal
       const feeRates = await walletManager.getFeeRates();
       expect(feeRates).toBeDefined();
-      expect(feeRates.normal).toBeGreaterThan(0);
-      expect(feeRates.fast).toBeGreaterThan(0);
+      expect(feeRates.bandwidthPrice).toBeGreaterThan(0);
+      expect(feeRates.energyPrice).toBeGreaterThan(0);
       
       // Make seed property writable for the test
       const seedValue = walletManager.seed;